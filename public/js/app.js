@@ -298,6 +298,21 @@ function initClipboard() {
     });
 }
 
+// 获取上传配置 (只请求一次)，登录用户绑定了自有存储时返回的是自有存储的配置
+let uploadConfigPromise = null;
+function getUploadConfig() {
+    if (!uploadConfigPromise) {
+        uploadConfigPromise = fetch('/api/upload/config', { headers: getAuthHeader() })
+            .then(response => response.json())
+            .then(result => (result.success ? result.data : null))
+            .catch(error => {
+                console.error('获取上传配置失败:', error);
+                return null;
+            });
+    }
+    return uploadConfigPromise;
+}
+
 // 上传功能
 function initUpload() {
     // 获取元素
@@ -312,6 +327,14 @@ function initUpload() {
     const mdCode = document.getElementById('mdCode');
     const uploadAgainBtn = document.getElementById('uploadAgainBtn');
 
+    // 服务器开启加密上传时才显示加密选项
+    getUploadConfig().then(config => {
+        const uploadOptions = document.getElementById('uploadOptions');
+        if (uploadOptions && config && config.encryptedUploads) {
+            uploadOptions.hidden = false;
+        }
+    });
+
     // 点击上传区域触发文件选择
     dropArea.addEventListener('click', (e) => {
         // 防止点击到上传状态区域时触发文件选择
@@ -397,25 +420,66 @@ function initUpload() {
         const progressBar = document.getElementById('uploadProgressBar');
         const progressText = document.getElementById('uploadProgressText');
 
-        // 准备表单数据
-        const formData = new FormData();
-        for (let i = 0; i < files.length; i++) {
-            formData.append('file', files[i]);
+        // 更新进度条
+        function updateProgress(percentComplete) {
+            progressBar.style.width = percentComplete + '%';
+            progressText.textContent = percentComplete + '%';
         }
 
         // 获取认证头
         const headers = getAuthHeader();
         console.log('上传请求 - 认证头:', headers);
 
+        // 加密上传：先在浏览器中加密，再通过服务器中转上传
+        const encryptToggle = document.getElementById('encryptToggle');
+        if (encryptToggle && encryptToggle.checked) {
+            encryptedUpload(files, headers, updateProgress)
+                .catch(error => showError(`加密失败: ${error.message}`));
+            return;
+        }
+
+        // 存储提供商支持直传时，文件直接上传到存储桶，不经过服务器中转
+        getUploadConfig().then(config => {
+            if (config && config.directUpload) {
+                directUpload(files, headers, updateProgress)
+                    .then(results => handleUploadSuccess(results, files))
+                    .catch(error => {
+                        if (!error.remaining) {
+                            showError(`上传失败: ${error.message}`);
+                            return;
+                        }
+                        // 无法直传 (存储桶不可达或服务器不再允许直传) 时，剩余文件改为经服务器中转上传，
+                        // 由服务器完成故障转移、副本和去重
+                        console.warn('直传失败，改为经服务器上传:', error.message);
+                        const uploaded = Array.from(files).slice(0, error.results.length);
+                        proxyUpload(error.remaining, headers, updateProgress, {
+                            onSuccess: (data) => handleUploadSuccess([...error.results, ...data], [...uploaded, ...error.remaining])
+                        });
+                    });
+            } else {
+                proxyUpload(files, headers, updateProgress);
+            }
+        });
+    }
+
+    // 通过服务器中转上传，fields 为额外的表单字段，onSuccess 用于处理上传结果
+    function proxyUpload(files, headers, updateProgress, options = {}) {
+        // 准备表单数据
+        const formData = new FormData();
+        for (let i = 0; i < files.length; i++) {
+            formData.append('file', files[i]);
+        }
+        Object.entries(options.fields || {}).forEach(([name, value]) => {
+            formData.append(name, value);
+        });
+
         // 创建 XMLHttpRequest 以便跟踪上传进度
         const xhr = new XMLHttpRequest();
 
         // 监听上传进度
         xhr.upload.addEventListener('progress', (event) => {
             if (event.lengthComputable) {
-                const percentComplete = Math.round((event.loaded / event.total) * 100);
-                progressBar.style.width = percentComplete + '%';
-                progressText.textContent = percentComplete + '%';
+                updateProgress(Math.round((event.loaded / event.total) * 100));
             }
         });
 
@@ -436,18 +500,10 @@ function initUpload() {
                 const data = xhr.response;
                 if (data.error) {
                     showError(data.error);
+                } else if (options.onSuccess) {
+                    options.onSuccess(data);
                 } else {
-                    // 上传成功
-                    uploadStatus.innerHTML = `
-                        <div class="upload-success">
-                            <span class="success-icon">✓</span>
-                            <span class="success-text">上传成功！共${data.length}张图片</span>
-                        </div>
-                    `;
-                    uploadStatus.className = 'upload-status success';
-
-                    // 显示结果
-                    showResults(data, files);
+                    handleUploadSuccess(data, files);
                 }
             } else {
                 showError(`上传失败: 服务器返回 ${xhr.status}`);
@@ -463,6 +519,127 @@ function initUpload() {
         xhr.send(formData);
     }
 
+    // 加密上传：密钥只保留在浏览器中，上传完成后追加到链接的 # 片段
+    async function encryptedUpload(files, headers, updateProgress) {
+        const encryptedFiles = [];
+        const entries = new Map();
+        for (let i = 0; i < files.length; i++) {
+            const { file, key } = await ImageCrypto.encryptFile(files[i]);
+            encryptedFiles.push(file);
+            entries.set(file.name, { key, original: files[i] });
+        }
+
+        proxyUpload(encryptedFiles, headers, updateProgress, {
+            fields: { encrypted: 'true' },
+            onSuccess: (data) => {
+                // 按加密文件名对应结果，部分文件上传失败时密钥也不会错位
+                const results = data.filter(result => entries.has(result.name));
+                const originals = results.map(result => entries.get(result.name).original);
+                handleUploadSuccess(results.map(result => ({ ...result, key: entries.get(result.name).key })), originals);
+            }
+        });
+    }
+
+    // 直传到存储桶：presign -> PUT -> complete，逐个文件上传
+    async function directUpload(files, headers, updateProgress) {
+        const jsonHeaders = { 'Content-Type': 'application/json', ...headers };
+        let totalSize = 0;
+        for (let i = 0; i < files.length; i++) {
+            totalSize += files[i].size;
+        }
+
+        const results = [];
+        let uploadedSize = 0;
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+
+            const presignResponse = await fetch('/api/upload/presign', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ fileName: file.name, fileSize: file.size, fileType: file.type })
+            });
+            const presign = await presignResponse.json();
+            if (!presign.success) {
+                if (presign.error?.details?.code === 'DIRECT_UPLOAD_UNSUPPORTED') {
+                    throw directUploadFallback(presign.error.message, files, i, results);
+                }
+                throw new Error(presign.error?.message || '无法创建上传会话');
+            }
+
+            try {
+                await putFile(presign.data, file, (loaded) => {
+                    updateProgress(Math.round(((uploadedSize + loaded) / totalSize) * 100));
+                });
+            } catch (error) {
+                throw directUploadFallback(error.message, files, i, results);
+            }
+            uploadedSize += file.size;
+
+            const completeResponse = await fetch('/api/upload/complete', {
+                method: 'POST',
+                headers: jsonHeaders,
+                body: JSON.stringify({ fileId: presign.data.fileId })
+            });
+            const complete = await completeResponse.json();
+            if (!complete.success) {
+                throw new Error(complete.error?.message || '上传确认失败');
+            }
+
+            results.push({ src: complete.data.src });
+        }
+
+        return results;
+    }
+
+    // 直传中断时的错误，remaining 为尚未上传的文件，results 为已完成的上传结果
+    function directUploadFallback(message, files, index, results) {
+        const error = new Error(message);
+        error.remaining = Array.from(files).slice(index);
+        error.results = results;
+        return error;
+    }
+
+    // 使用预签名URL上传单个文件
+    function putFile(upload, file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.upload.addEventListener('progress', (event) => {
+                if (event.lengthComputable) {
+                    onProgress(event.loaded);
+                }
+            });
+            xhr.open(upload.method || 'PUT', upload.uploadUrl, true);
+            Object.entries(upload.headers || {}).forEach(([name, value]) => {
+                xhr.setRequestHeader(name, value);
+            });
+            xhr.onload = function() {
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`存储服务返回 ${xhr.status}`));
+                }
+            };
+            xhr.onerror = function() {
+                reject(new Error('网络错误'));
+            };
+            xhr.send(file);
+        });
+    }
+
+    // 上传成功
+    function handleUploadSuccess(data, files) {
+        uploadStatus.innerHTML = `
+            <div class="upload-success">
+                <span class="success-icon">✓</span>
+                <span class="success-text">上传成功！共${data.length}张图片</span>
+            </div>
+        `;
+        uploadStatus.className = 'upload-status success';
+
+        // 显示结果
+        showResults(data, files);
+    }
+
     // 显示错误信息
     function showError(message) {
         uploadStatus.textContent = message;
@@ -493,13 +670,23 @@ function initUpload() {
         // 构建基本URL
         const baseUrl = window.location.origin;
 
+        // 加密上传的结果使用本地文件预览，链接末尾附带 # 片段中的密钥
+        function getResultLinks(result, file) {
+            const url = baseUrl + result.src;
+            const hash = result.key ? `#key=${result.key}` : '';
+            return {
+                fileUrl: url + hash,
+                previewUrl: url + '?preview=true' + hash,
+                imageSrc: result.key && file ? URL.createObjectURL(file) : url
+            };
+        }
+
         // 如果只有一个图片，仍然使用旧的预览方式
         if (results.length === 1) {
-            const fileUrl = baseUrl + results[0].src;
-            const previewUrl = fileUrl + '?preview=true';
+            const { fileUrl, previewUrl, imageSrc } = getResultLinks(results[0], files[0]);
 
             // 设置图片预览
-            previewImage.src = fileUrl;
+            previewImage.src = imageSrc;
             previewImage.alt = files[0].name;
 
             // 设置各种代码
@@ -510,7 +697,7 @@ function initUpload() {
         } else {
             // 批量上传的情况，创建图片列表
             for (let i = 0; i < results.length; i++) {
-                const fileUrl = baseUrl + results[i].src;
+                const { fileUrl, previewUrl, imageSrc } = getResultLinks(results[i], files[i]);
                 const fileName = files[i] ? files[i].name : `图片${i+1}`;
 
                 // 创建缩略图项
@@ -519,12 +706,11 @@ function initUpload() {
 
                 // 创建图片元素
                 const img = document.createElement('img');
-                img.src = fileUrl;
+                img.src = imageSrc;
                 img.alt = fileName;
                 img.addEventListener('click', () => {
                     // 点击单张图片时更新主预览和链接
-                    const previewUrl = fileUrl + '?preview=true';
-                    previewImage.src = fileUrl;
+                    previewImage.src = imageSrc;
                     previewImage.alt = fileName;
                     directLink.value = fileUrl;
                     previewLink.value = previewUrl;
@@ -539,12 +725,13 @@ function initUpload() {
 
             // 默认选中第一张图片
             if (results.length > 0) {
-                const firstFileUrl = baseUrl + results[0].src;
-                const firstPreviewUrl = firstFileUrl + '?preview=true';
+                const first = getResultLinks(results[0], files[0]);
+                const firstFileUrl = first.fileUrl;
+                const firstPreviewUrl = first.previewUrl;
                 const firstName = files[0] ? files[0].name : '图片1';
 
                 // 设置默认预览
-                previewImage.src = firstFileUrl;
+                previewImage.src = first.imageSrc;
                 previewImage.alt = firstName;
 
                 // 设置默认代码
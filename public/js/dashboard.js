@@ -385,7 +385,7 @@ function createImageCard(image) {
         </div>
         ` : ''}
         <div class="image-preview-enhanced" data-id="${image.id}" data-url="${image.url}">
-            <img src="${image.url}" alt="${image.fileName}" loading="lazy">
+            <img src="${image.thumbnailUrl || image.url}" alt="${image.fileName}" loading="lazy">
             <div class="image-overlay"></div>
             <div class="image-zoom-icon">
                 <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
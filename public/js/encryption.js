@@ -0,0 +1,84 @@
+/**
+ * 客户端加密 - TG-Image
+ * 上传前在浏览器中使用 AES-GCM 加密图片，密钥只保存在分享链接的 # 片段中，不会发送到服务器
+ *
+ * 密文格式: "TGE1" (4字节) + IV (12字节) + AES-GCM 密文
+ * 明文格式: 头部长度 (4字节，大端) + 头部 JSON { name, type, size } + 文件内容
+ */
+class ImageCrypto {
+    static MAGIC = 'TGE1';
+    static IV_LENGTH = 12;
+
+    /**
+     * 加密文件，返回加密后的文件和 base64url 编码的密钥
+     */
+    static async encryptFile(file) {
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(ImageCrypto.IV_LENGTH));
+
+        // 文件名和类型也一并加密，服务器只能看到随机的文件名
+        const header = new TextEncoder().encode(JSON.stringify({ name: file.name, type: file.type, size: file.size }));
+        const headerLength = new Uint8Array(4);
+        new DataView(headerLength.buffer).setUint32(0, header.length);
+
+        const plaintext = await new Blob([headerLength, header, file]).arrayBuffer();
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+        const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+
+        const encrypted = new File(
+            [new TextEncoder().encode(ImageCrypto.MAGIC), iv, ciphertext],
+            `${Date.now()}_${Math.random().toString(36).substring(2, 8)}.enc`,
+            { type: 'application/octet-stream' }
+        );
+
+        return { file: encrypted, key: ImageCrypto.toBase64Url(rawKey) };
+    }
+
+    /**
+     * 解密数据，返回 { name, type, blob }
+     */
+    static async decrypt(buffer, encodedKey) {
+        const bytes = new Uint8Array(buffer);
+        const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+        if (magic !== ImageCrypto.MAGIC) {
+            throw new Error('不是加密文件或格式不受支持');
+        }
+
+        const iv = bytes.subarray(4, 4 + ImageCrypto.IV_LENGTH);
+        const key = await crypto.subtle.importKey('raw', ImageCrypto.fromBase64Url(encodedKey), { name: 'AES-GCM' }, false, ['decrypt']);
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(4 + ImageCrypto.IV_LENGTH)));
+
+        const headerLength = new DataView(plaintext.buffer).getUint32(0);
+        const header = JSON.parse(new TextDecoder().decode(plaintext.subarray(4, 4 + headerLength)));
+        const type = header.type || 'application/octet-stream';
+
+        return {
+            name: header.name || 'image',
+            type,
+            blob: new Blob([plaintext.subarray(4 + headerLength)], { type })
+        };
+    }
+
+    /**
+     * 从链接的 # 片段中读取密钥
+     */
+    static getKeyFromHash(hash = window.location.hash) {
+        return new URLSearchParams(hash.replace(/^#/, '')).get('key');
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+}
+
+window.ImageCrypto = ImageCrypto;
@@ -20,6 +20,12 @@ function initSettingsPage() {
     // 检查存储使用情况
     updateStorageInfo();
 
+    // 加载自有存储配置
+    initUserStorage();
+
+    // 加载保存在服务器上的偏好设置
+    initUserSettings();
+
     // 监听全局主题变化
     window.addEventListener('themeChanged', (e) => {
         updateDarkModeToggleState(e.detail.theme === 'dark');
@@ -545,6 +551,245 @@ function updateStorageInfo() {
     }
 }
 
+/**
+ * 初始化保存在服务器上的偏好设置 (图片格式自动转换)
+ */
+async function initUserSettings() {
+    const toggle = document.getElementById('autoFormatToggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => {
+        saveUserSettings({ autoFormat: !toggle.classList.contains('active') });
+    });
+
+    if (!checkAuth()) {
+        document.getElementById('autoFormatDesc').textContent = '登录后可设置';
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/settings', { headers: getAuthHeader() });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        toggle.classList.toggle('active', data.settings.autoFormat);
+    } catch (error) {
+        console.error('加载偏好设置失败:', error);
+    }
+}
+
+/**
+ * 保存偏好设置，只提交修改的字段
+ */
+async function saveUserSettings(changes) {
+    if (!checkAuth()) {
+        showNotification('请先登录', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...getAuthHeader() },
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showNotification(data.error || '保存设置失败', 'error');
+            return;
+        }
+
+        document.getElementById('autoFormatToggle').classList.toggle('active', data.settings.autoFormat);
+        showNotification('设置已保存', 'success');
+    } catch (error) {
+        showNotification('保存设置失败', 'error');
+    }
+}
+
+/**
+ * 初始化自有存储配置
+ */
+async function initUserStorage() {
+    const typeSelect = document.getElementById('userStorageType');
+    const form = document.getElementById('userStorageForm');
+    if (!typeSelect || !form) return;
+
+    typeSelect.addEventListener('change', () => updateUserStorageFields(typeSelect.value));
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    document.getElementById('testUserStorageBtn')?.addEventListener('click', testUserStorage);
+    document.getElementById('saveUserStorageBtn')?.addEventListener('click', saveUserStorage);
+    document.getElementById('removeUserStorageBtn')?.addEventListener('click', () => {
+        showConfirmModal(
+            '解除绑定',
+            '解除绑定后新上传的图片将保存到默认存储，已保存在您存储桶中的图片将无法再通过本站访问。',
+            () => removeUserStorage()
+        );
+    });
+
+    updateUserStorageFields(typeSelect.value);
+
+    if (!checkAuth()) {
+        setUserStorageStatus('登录后可绑定自有存储');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/storage', { headers: getAuthHeader() });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (data.configured) {
+            applyUserStorageToForm(data.storage);
+        }
+    } catch (error) {
+        console.error('加载自有存储配置失败:', error);
+    }
+}
+
+/**
+ * 根据存储类型显示对应的输入项
+ */
+function updateUserStorageFields(type) {
+    document.querySelectorAll('#userStorageForm [data-storage-types]').forEach(label => {
+        label.style.display = label.dataset.storageTypes.split(' ').includes(type) ? '' : 'none';
+    });
+}
+
+/**
+ * 将已保存的配置填入表单，密钥不会返回，留空表示沿用原值
+ */
+function applyUserStorageToForm(storage) {
+    const form = document.getElementById('userStorageForm');
+    const typeSelect = document.getElementById('userStorageType');
+
+    typeSelect.value = storage.type;
+    updateUserStorageFields(storage.type);
+
+    ['endpoint', 'bucket', 'region', 'url', 'username', 'publicUrl'].forEach(name => {
+        if (form.elements[name]) {
+            form.elements[name].value = storage[name] || '';
+        }
+    });
+    ['accessKeyId', 'secretAccessKey', 'password'].forEach(name => {
+        form.elements[name].value = '';
+        form.elements[name].placeholder = '已保存，留空则不修改';
+    });
+
+    const target = storage.bucket || storage.url || '';
+    setUserStorageStatus(`已绑定 ${storage.type.toUpperCase()} ${target}`);
+    document.getElementById('removeUserStorageBtn').style.display = '';
+}
+
+/**
+ * 读取表单中当前类型的配置
+ */
+function getUserStorageFormData() {
+    const form = document.getElementById('userStorageForm');
+    const type = document.getElementById('userStorageType').value;
+    const config = { type };
+
+    form.querySelectorAll('[data-storage-types]').forEach(label => {
+        if (!label.dataset.storageTypes.split(' ').includes(type)) return;
+        const input = label.querySelector('input');
+        config[input.name] = input.value.trim();
+    });
+
+    return config;
+}
+
+function setUserStorageStatus(text) {
+    const status = document.getElementById('userStorageStatus');
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+/**
+ * 测试自有存储连接
+ */
+async function testUserStorage() {
+    if (!checkAuth()) {
+        showNotification('请先登录', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/storage/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...getAuthHeader() },
+            body: JSON.stringify(getUserStorageFormData())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showNotification(data.error || '测试连接失败', 'error');
+        } else if (data.healthy) {
+            showNotification('连接正常', 'success');
+        } else {
+            showNotification(data.health?.message || '连接失败', 'error');
+        }
+    } catch (error) {
+        showNotification('测试连接失败', 'error');
+    }
+}
+
+/**
+ * 保存并绑定自有存储，服务器检查连接通过后才会保存
+ */
+async function saveUserStorage() {
+    if (!checkAuth()) {
+        showNotification('请先登录', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/user/storage', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...getAuthHeader() },
+            body: JSON.stringify(getUserStorageFormData())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showNotification(data.error || '保存存储配置失败', 'error');
+            return;
+        }
+
+        applyUserStorageToForm(data.storage);
+        showNotification('自有存储已绑定', 'success');
+    } catch (error) {
+        showNotification('保存存储配置失败', 'error');
+    }
+}
+
+/**
+ * 解除自有存储绑定
+ */
+async function removeUserStorage() {
+    try {
+        const response = await fetch('/api/user/storage', {
+            method: 'DELETE',
+            headers: getAuthHeader()
+        });
+        if (!response.ok) {
+            showNotification('解除绑定失败', 'error');
+            return;
+        }
+
+        document.getElementById('userStorageForm').reset();
+        ['accessKeyId', 'secretAccessKey', 'password'].forEach(name => {
+            document.getElementById('userStorageForm').elements[name].placeholder = '';
+        });
+        document.getElementById('removeUserStorageBtn').style.display = 'none';
+        setUserStorageStatus('绑定后上传的图片将保存到您自己的存储桶');
+        showNotification('已解除自有存储绑定', 'success');
+    } catch (error) {
+        showNotification('解除绑定失败', 'error');
+    }
+}
+
 /**
  * 计算已使用的存储空间
  */
@@ -0,0 +1,237 @@
+/**
+ * 存储维护相关的管理员 API
+ */
+import { processDeleteQueue, getDeletionStats } from "../storage/DeletionQueue.js";
+import { runGarbageCollection, getLatestReport } from "../storage/GarbageCollector.js";
+import { getTieringRules, saveTieringRules, getTieringState, runTiering, isTieringEnabled } from "../storage/Tiering.js";
+import { getProviderUsage, getUsageReport, rebuildUserUsage, setUserQuota, deleteUserQuota, validateQuotaInput } from "../storage/Usage.js";
+
+function ok(c, data, status = 200) {
+    return c.json({ success: true, data }, status);
+}
+
+function fail(c, message, status = 400, details) {
+    return c.json({ success: false, error: { message, ...(details ? { details } : {}) } }, status);
+}
+
+/**
+ * 查看删除队列、失败列表和墓碑数量
+ * GET /api/admin/deletions
+ */
+export async function getDeletions(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        return ok(c, await getDeletionStats(c.env));
+    } catch (error) {
+        console.error("获取删除队列状态失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 立即处理删除队列中到期的条目 (通常由定时任务执行)
+ * POST /api/admin/deletions/process
+ */
+export async function processDeletions(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        return ok(c, await processDeleteQueue(c.env));
+    } catch (error) {
+        console.error("处理删除队列失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 手动执行垃圾回收
+ * POST /api/admin/gc { dryRun, providers }
+ * 未显式传入 dryRun: false 时只生成报告，不隔离也不删除
+ */
+export async function runGc(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        const body = (await c.req.json().catch(() => null)) ?? {};
+        const providers = Array.isArray(body.providers)
+            ? body.providers.map(name => String(name).trim().toLowerCase()).filter(Boolean)
+            : [];
+
+        const report = await runGarbageCollection(c.env, {
+            dryRun: body.dryRun !== false,
+            providers
+        });
+        return ok(c, report);
+    } catch (error) {
+        console.error("执行垃圾回收失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 查看最近一次垃圾回收报告
+ * GET /api/admin/gc/report
+ */
+export async function getGcReport(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    const report = await getLatestReport(c.env);
+    if (!report) {
+        return fail(c, "暂无垃圾回收报告", 404);
+    }
+    return ok(c, report);
+}
+
+/**
+ * 查看各存储提供商的总用量
+ * GET /api/admin/usage
+ */
+export async function getUsage(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        return ok(c, { providers: await getProviderUsage(c.env) });
+    } catch (error) {
+        console.error("获取存储用量失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 查看用户的存储用量和配额
+ * GET /api/admin/users/:id/usage?rebuild=true
+ * rebuild=true 时根据用户文件索引重新统计，用于校正并发写入造成的偏差
+ */
+export async function getUserUsage(c) {
+    const userId = c.req.param("id");
+    if (!(await userExists(c.env, userId))) {
+        return fail(c, "用户不存在", 404);
+    }
+
+    try {
+        if (c.req.query("rebuild") === "true") {
+            await rebuildUserUsage(c.env, userId);
+        }
+        return ok(c, await getUsageReport(c.env, userId));
+    } catch (error) {
+        console.error("获取用户存储用量失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 设置用户配额
+ * PUT /api/admin/users/:id/quota { bytes, files }
+ * bytes 可以是字节数或 "10GB" 这样的容量，files 为整数，0 表示不限制，null 或未传入的字段使用全局默认值
+ */
+export async function updateUserQuota(c) {
+    const userId = c.req.param("id");
+    if (!(await userExists(c.env, userId))) {
+        return fail(c, "用户不存在", 404);
+    }
+
+    const body = await c.req.json().catch(() => null);
+    if (!body || (body.bytes === undefined && body.files === undefined)) {
+        return fail(c, "请提供 bytes 或 files", 400);
+    }
+    const invalid = validateQuotaInput(body);
+    if (invalid) {
+        return fail(c, invalid, 400);
+    }
+
+    try {
+        await setUserQuota(c.env, userId, body);
+        return ok(c, await getUsageReport(c.env, userId));
+    } catch (error) {
+        console.error("设置用户配额失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 删除用户配额，恢复为全局默认值
+ * DELETE /api/admin/users/:id/quota
+ */
+export async function resetUserQuota(c) {
+    const userId = c.req.param("id");
+    if (!(await userExists(c.env, userId))) {
+        return fail(c, "用户不存在", 404);
+    }
+
+    try {
+        await deleteUserQuota(c.env, userId);
+        return ok(c, await getUsageReport(c.env, userId));
+    } catch (error) {
+        console.error("删除用户配额失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 查看分层存储规则和扫描状态
+ * GET /api/admin/tiering
+ */
+export async function getTiering(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        const [rules, state] = await Promise.all([getTieringRules(c.env), getTieringState(c.env)]);
+        return ok(c, { enabled: isTieringEnabled(c.env), rules, state });
+    } catch (error) {
+        console.error("获取分层存储配置失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 保存分层存储规则 (整体替换)
+ * PUT /api/admin/tiering/rules { rules: [{ name, source, target, notAccessedDays, accessedWithinDays, minAgeDays, enabled }] }
+ */
+export async function updateTieringRules(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    const body = await c.req.json().catch(() => null);
+    const { rules, error } = await saveTieringRules(c.env, body?.rules);
+    if (error) {
+        return fail(c, error, 400);
+    }
+    return ok(c, { rules });
+}
+
+/**
+ * 立即执行一轮分层扫描
+ * POST /api/admin/tiering/run { dryRun }
+ * 未显式传入 dryRun: false 时只列出会被移动的文件
+ */
+export async function runTieringNow(c) {
+    if (!c.env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        const body = (await c.req.json().catch(() => null)) ?? {};
+        return ok(c, await runTiering(c.env, { dryRun: body.dryRun !== false }));
+    } catch (error) {
+        console.error("执行分层存储失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+async function userExists(env, userId) {
+    return Boolean(userId && env.users && await env.users.get(`userid:${userId}`));
+}
@@ -0,0 +1,215 @@
+/**
+ * 存储迁移任务
+ * 将 file:* 元数据记录对应的文件从源存储复制到目标存储，公开的 /file/:id 地址保持不变
+ * 任务状态保存在 KV 中，每次运行处理一批记录并记录游标，中断后可继续执行
+ */
+import { StorageManager } from "../storage/StorageManager.js";
+import { migrateFile } from "../storage/FileMigration.js";
+
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_BATCH_SIZE = 50;
+// 单批处理的最长时间，超过后视为中断，允许重新获取执行锁
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const MAX_ERROR_ENTRIES = 100;
+
+function ok(c, data, status = 200) {
+    return c.json({ success: true, data }, status);
+}
+
+function fail(c, message, status = 400, details) {
+    return c.json({ success: false, error: { message, ...(details ? { details } : {}) } }, status);
+}
+
+function jobKey(jobId) {
+    return `migration:job:${jobId}`;
+}
+
+async function loadJob(env, jobId) {
+    return await env.img_url.get(jobKey(jobId), { type: "json" });
+}
+
+async function saveJob(env, job) {
+    job.updatedAt = Date.now();
+    await env.img_url.put(jobKey(job.id), JSON.stringify(job));
+}
+
+/**
+ * 创建迁移任务
+ * POST /api/admin/migrations { source, target, batchSize }
+ */
+export async function createMigration(c) {
+    const env = c.env;
+    if (!env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    try {
+        const body = (await c.req.json().catch(() => null)) ?? {};
+        const source = String(body.source || "").trim().toLowerCase();
+        const target = String(body.target || "").trim().toLowerCase();
+
+        if (!source || !target) {
+            return fail(c, "缺少 source 或 target 参数", 400);
+        }
+        if (source === target) {
+            return fail(c, "源存储和目标存储不能相同", 400);
+        }
+
+        const storageManager = new StorageManager(env);
+        for (const name of [source, target]) {
+            if (!storageManager.isProviderAvailable(name)) {
+                return fail(c, `存储提供商 '${name}' 未配置或不可用`, 400);
+            }
+        }
+
+        const batchSize = Math.min(Math.max(parseInt(body.batchSize, 10) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+        const user = c.get("user");
+        const job = {
+            id: crypto.randomUUID(),
+            source,
+            target,
+            batchSize,
+            status: "pending",
+            cursor: null,
+            scanned: 0,
+            migrated: 0,
+            skipped: 0,
+            failed: 0,
+            errors: [],
+            lockedUntil: 0,
+            createdBy: user ? user.username : null,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            completedAt: null
+        };
+        await saveJob(env, job);
+
+        return ok(c, job, 201);
+    } catch (error) {
+        console.error("创建迁移任务失败:", error);
+        return fail(c, error.message || "服务器错误", 500);
+    }
+}
+
+/**
+ * 查看迁移任务进度
+ * GET /api/admin/migrations/:id
+ */
+export async function getMigration(c) {
+    const env = c.env;
+    if (!env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    const job = await loadJob(env, c.req.param("id"));
+    if (!job) {
+        return fail(c, "迁移任务不存在", 404);
+    }
+    return ok(c, job);
+}
+
+/**
+ * 执行下一批迁移
+ * POST /api/admin/migrations/:id/run
+ * 重复调用直到 status 为 completed；中断后再次调用会从上次保存的游标继续
+ */
+export async function runMigration(c) {
+    const env = c.env;
+    if (!env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    const job = await loadJob(env, c.req.param("id"));
+    if (!job) {
+        return fail(c, "迁移任务不存在", 404);
+    }
+    if (job.status === "completed" || job.status === "cancelled") {
+        return ok(c, job);
+    }
+    if (job.lockedUntil > Date.now()) {
+        return fail(c, "迁移任务正在执行中", 409);
+    }
+
+    job.status = "running";
+    job.lockedUntil = Date.now() + LOCK_TTL_MS;
+    await saveJob(env, job);
+
+    try {
+        await processBatch(env, job);
+    } catch (error) {
+        console.error(`迁移任务 ${job.id} 执行失败:`, error);
+        recordError(job, null, error);
+    } finally {
+        job.lockedUntil = 0;
+        await saveJob(env, job);
+    }
+
+    return ok(c, job);
+}
+
+/**
+ * 取消迁移任务，已迁移的文件保持在目标存储
+ * POST /api/admin/migrations/:id/cancel
+ */
+export async function cancelMigration(c) {
+    const env = c.env;
+    if (!env.img_url) {
+        return fail(c, "未绑定 img_url KV 命名空间", 500);
+    }
+
+    const job = await loadJob(env, c.req.param("id"));
+    if (!job) {
+        return fail(c, "迁移任务不存在", 404);
+    }
+    if (job.status !== "completed") {
+        job.status = "cancelled";
+        await saveJob(env, job);
+    }
+    return ok(c, job);
+}
+
+/**
+ * 处理一批 file:* 记录
+ * 游标只在整批完成后保存，中途中断时重跑本批：已迁移的记录 provider 已变为目标存储，会被跳过
+ */
+async function processBatch(env, job) {
+    const storageManager = new StorageManager(env);
+    const page = await env.img_url.list({
+        prefix: "file:",
+        limit: job.batchSize,
+        ...(job.cursor ? { cursor: job.cursor } : {})
+    });
+
+    for (const key of page.keys) {
+        job.scanned++;
+        const fileKey = key.name.substring("file:".length);
+
+        try {
+            const migrated = await migrateFile(env, storageManager, job, fileKey);
+            if (migrated) {
+                job.migrated++;
+            } else {
+                job.skipped++;
+            }
+        } catch (error) {
+            console.error(`迁移文件 ${fileKey} 失败:`, error);
+            job.failed++;
+            recordError(job, fileKey, error);
+        }
+    }
+
+    if (page.list_complete) {
+        job.status = "completed";
+        job.cursor = null;
+        job.completedAt = Date.now();
+    } else {
+        job.cursor = page.cursor;
+    }
+}
+
+function recordError(job, fileKey, error) {
+    job.errors.push({ fileKey, error: error?.message || String(error), at: Date.now() });
+    if (job.errors.length > MAX_ERROR_ENTRIES) {
+        job.errors = job.errors.slice(-MAX_ERROR_ENTRIES);
+    }
+}
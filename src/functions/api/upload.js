@@ -1,17 +1,14 @@
 import { StorageManager } from "../storage/StorageManager.js";
 import { authMiddleware } from "../utils/auth";
+import { saveFileRecord, getUploadedFileUrl } from "../utils/fileRecords.js";
+import { uploadDeduplicated, addHashReference } from "../storage/Deduplication.js";
+import { attachUserStorage, getUserStorageSummary, USER_STORAGE_PROVIDER } from "../storage/UserStorage.js";
+import { checkQuota, QUOTA_EXCEEDED } from "../storage/Usage.js";
+import { getHealthHistory } from "../storage/HealthMonitor.js";
+import { parseMaxFileSize } from "../utils/size.js";
+import { isEncryptedUploadEnabled } from "../utils/encryption.js";
 
 // Helpers
-function parseMaxFileSize(env) {
-    const raw = env.MAX_FILE_SIZE || "50MB";
-    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(raw);
-    if (!match) return 50 * 1024 * 1024;
-    const value = parseFloat(match[1]);
-    const unit = (match[2] || "MB").toUpperCase();
-    const multipliers = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
-    return Math.floor(value * (multipliers[unit] || multipliers.MB));
-}
-
 function parseAllowedTypes(env) {
     const raw = env.ALLOWED_FILE_TYPES || "image/jpeg,image/png,image/gif,image/webp";
     return raw.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
@@ -40,6 +37,19 @@ function fail(c, message, status = 400, details) {
     return c.json({ success: false, error: { message, ...(details ? { details } : {}) } }, status);
 }
 
+// 携带 Bearer 令牌时先校验身份，否则按匿名请求处理
+function withOptionalAuth(c, handler) {
+    const authHeader = c.req.header("Authorization");
+    if (authHeader && authHeader.startsWith("Bearer ")) {
+        return authMiddleware(c, handler);
+    }
+    return handler();
+}
+
+function pendingUploadKey(fileId) {
+    return `upload:pending:${fileId}`;
+}
+
 export async function apiUpload(c) {
     const env = c.env;
     try {
@@ -49,8 +59,12 @@ export async function apiUpload(c) {
             return fail(c, "未上传文件", 400);
         }
 
-        const provider = formData.get("provider") || env.DEFAULT_STORAGE_PROVIDER || "telegram";
+        const user = c.get("user");
         const storageManager = new StorageManager(env);
+        const hasUserStorage = await attachUserStorage(env, storageManager, user?.id);
+        // 绑定了自有存储的用户默认上传到自己的存储桶
+        const provider = formData.get("provider") ||
+            (hasUserStorage ? USER_STORAGE_PROVIDER : env.DEFAULT_STORAGE_PROVIDER || "telegram");
 
         // Validation
         const maxSize = parseMaxFileSize(env);
@@ -70,9 +84,36 @@ export async function apiUpload(c) {
                 errors.push({ file: sanitizeFileInfo(file), error: "文件类型不被允许" });
                 continue;
             }
+            const quotaError = await checkQuota(env, user?.id, { bytes: file.size, provider });
+            if (quotaError) {
+                errors.push({ file: sanitizeFileInfo(file), error: quotaError.message, code: quotaError.code, usage: quotaError.usage });
+                continue;
+            }
 
             try {
-                const result = await storageManager.uploadFile(file, { provider });
+                const userId = user ? user.id : null;
+                // 已登录用户的文件可能被设为私有，不设置公开读取 ACL，也不返回存储桶直链
+                const result = await uploadDeduplicated(env, storageManager, file, { provider, public: !userId }, userId);
+                result.url = getUploadedFileUrl({ fileKey: result.fileId, url: result.url, userId });
+                // 记录实际接收文件的提供商，发生故障转移时与请求的提供商不同
+                await saveFileRecord(env, {
+                    fileKey: result.fileId,
+                    fileName: file.name,
+                    fileSize: file.size,
+                    fileType: file.type,
+                    provider: result.provider,
+                    url: result.url,
+                    userId: userId,
+                    timestamp: result.timestamp,
+                    replicas: result.replicas,
+                    storedFileId: result.storedFileId,
+                    hash: result.hash,
+                    storageConfigId: result.storageConfigId,
+                    deduplicated: result.deduplicated
+                });
+                if (result.hash) {
+                    await addHashReference(env, result.hash, { fileKey: result.fileId, userId, result });
+                }
                 results.push(result);
             } catch (e) {
                 errors.push({ file: sanitizeFileInfo(file), error: e.message });
@@ -86,12 +127,17 @@ export async function apiUpload(c) {
                     fileId: r.fileId,
                     url: r.url,
                     provider: r.provider,
+                    requestedProvider: r.requestedProvider,
+                    fallback: r.fallback,
+                    replicas: r.replicas,
+                    deduplicated: Boolean(r.deduplicated),
+                    ...(r.previousUpload ? { duplicateOf: r.previousUpload } : {}),
                     size: r.size,
                     type: r.type,
                     fileName: r.originalName
                 });
             }
-            return fail(c, errors[0]?.error || "上传失败", 400, errors[0]);
+            return fail(c, errors[0]?.error || "上传失败", errors[0]?.code === QUOTA_EXCEEDED ? 413 : 400, errors[0]);
         }
 
         const status = errors.length > 0 ? 207 : 200;
@@ -103,6 +149,11 @@ export async function apiUpload(c) {
                 fileId: r.fileId,
                 url: r.url,
                 provider: r.provider,
+                requestedProvider: r.requestedProvider,
+                fallback: r.fallback,
+                replicas: r.replicas,
+                deduplicated: Boolean(r.deduplicated),
+                ...(r.previousUpload ? { duplicateOf: r.previousUpload } : {}),
                 size: r.size,
                 type: r.type,
                 fileName: r.originalName
@@ -119,16 +170,197 @@ export async function apiUploadWithAuth(c) {
     return authMiddleware(c, () => apiUpload(c));
 }
 
+/**
+ * 创建浏览器直传会话
+ * 校验文件名、大小和类型后返回预签名 PUT URL (S3/MinIO) 或签名上传URL (Supabase)
+ */
+export async function presignUpload(c) {
+    return withOptionalAuth(c, async () => {
+        const env = c.env;
+        try {
+            const body = await c.req.json().catch(() => null);
+            if (!body) {
+                return fail(c, "请求体必须是 JSON", 400);
+            }
+
+            const user = c.get("user");
+            const requireAuth = String(env.REQUIRE_AUTH_FOR_UPLOAD || "false").toLowerCase() === "true";
+            if (requireAuth && !user) {
+                return fail(c, "上传需要登录", 401);
+            }
+
+            const fileName = String(body.fileName || "").trim();
+            const fileSize = Number(body.fileSize);
+            const fileType = String(body.fileType || "").toLowerCase();
+            const fileInfo = { fileName, fileSize, fileType };
+
+            // Validation
+            if (!fileName) {
+                return fail(c, "文件名不能为空", 400);
+            }
+            if (!Number.isFinite(fileSize) || fileSize <= 0) {
+                return fail(c, "文件大小无效", 400, { file: fileInfo });
+            }
+            const maxSize = parseMaxFileSize(env);
+            if (fileSize > maxSize) {
+                return fail(c, `文件超出大小限制 (${maxSize} bytes)`, 400, { file: fileInfo });
+            }
+            if (!isTypeAllowed({ name: fileName, type: fileType }, parseAllowedTypes(env))) {
+                return fail(c, "文件类型不被允许", 400, { file: fileInfo });
+            }
+
+            const manager = new StorageManager(env);
+            const hasUserStorage = await attachUserStorage(env, manager, user?.id);
+            const provider = body.provider ||
+                (hasUserStorage ? USER_STORAGE_PROVIDER : env.DEFAULT_STORAGE_PROVIDER || "telegram");
+            if (!manager.isProviderAvailable(provider)) {
+                return fail(c, `存储提供商 '${provider}' 未配置或不可用`, 400);
+            }
+            const quotaError = await checkQuota(env, user?.id, { bytes: fileSize, provider });
+            if (quotaError) {
+                return fail(c, quotaError.message, 413, { code: quotaError.code, usage: quotaError.usage, file: fileInfo });
+            }
+            if (!manager.supportsDirectUpload(provider)) {
+                return fail(c, `存储提供商 '${provider}' 不支持直传`, 400, { code: "DIRECT_UPLOAD_UNSUPPORTED" });
+            }
+
+            const upload = await manager.getProvider(provider)
+                .createDirectUpload(fileName, fileType || "application/octet-stream", manager.getUploadOptions(provider, { public: !user }));
+
+            // 记录待完成的上传，complete 回调时据此写入元数据
+            await env.img_url.put(pendingUploadKey(upload.fileId), JSON.stringify({
+                ...fileInfo,
+                provider,
+                storageConfigId: manager.getProviderConfigId(provider),
+                userId: user ? user.id : null,
+                createdAt: Date.now()
+            }), { expirationTtl: Math.max(60, upload.expiresIn + 300) });
+
+            return ok(c, {
+                fileId: upload.fileId,
+                provider,
+                uploadUrl: upload.uploadUrl,
+                method: upload.method,
+                headers: upload.headers,
+                expiresIn: upload.expiresIn
+            });
+        } catch (e) {
+            return fail(c, e.message || "创建直传会话失败", 500);
+        }
+    });
+}
+
+/**
+ * 直传完成回调
+ * 确认文件已写入存储后，按 upload() 相同的方式在 KV 中记录元数据
+ */
+export async function completeUpload(c) {
+    return withOptionalAuth(c, async () => {
+        const env = c.env;
+        try {
+            const body = await c.req.json().catch(() => null);
+            const fileId = body?.fileId;
+            if (!fileId) {
+                return fail(c, "文件ID不能为空", 400);
+            }
+
+            const pending = await env.img_url.get(pendingUploadKey(fileId), { type: "json" });
+            if (!pending) {
+                return fail(c, "上传会话不存在或已过期", 404);
+            }
+
+            const user = c.get("user");
+            if (pending.userId && pending.userId !== user?.id) {
+                return fail(c, "无权完成此上传", 403);
+            }
+
+            const manager = new StorageManager(env);
+            if (pending.provider === USER_STORAGE_PROVIDER) {
+                await attachUserStorage(env, manager, pending.userId, pending.storageConfigId);
+            }
+            const provider = manager.getProvider(pending.provider);
+            if (!manager.supportsDirectUpload(pending.provider)) {
+                return fail(c, `存储提供商 '${pending.provider}' 不支持直传`, 400, { code: "DIRECT_UPLOAD_UNSUPPORTED" });
+            }
+
+            // 客户端声明的大小不可信，以存储中的实际大小为准重新校验大小限制和配额
+            const object = await provider.headObject(fileId);
+            if (!object) {
+                return fail(c, "文件尚未上传到存储", 409);
+            }
+            const rejectUpload = async (message, status, extra) => {
+                await provider.deleteFile(fileId);
+                await env.img_url.delete(pendingUploadKey(fileId));
+                return fail(c, message, status, extra);
+            };
+            if (object.size > parseMaxFileSize(env)) {
+                return rejectUpload("文件超出大小限制", 400);
+            }
+            // 创建会话时没有预占用量，此处按完整的实际大小检查
+            const quotaError = await checkQuota(env, pending.userId, { bytes: object.size, provider: pending.provider });
+            if (quotaError) {
+                return rejectUpload(quotaError.message, 413, { code: quotaError.code, usage: quotaError.usage });
+            }
+            const fileSize = object.size;
+
+            // 用户自有存储可能是私有存储桶，统一通过 /file/:id 访问
+            const url = pending.provider === USER_STORAGE_PROVIDER
+                ? `/file/${fileId}`
+                : getUploadedFileUrl({ fileKey: fileId, url: await provider.getFileUrl(fileId), userId: pending.userId });
+            const timestamp = Date.now();
+
+            await saveFileRecord(env, {
+                fileKey: fileId,
+                fileName: pending.fileName,
+                fileSize: fileSize,
+                fileType: pending.fileType,
+                provider: pending.provider,
+                url: url,
+                userId: pending.userId,
+                timestamp: timestamp,
+                storageConfigId: pending.storageConfigId
+            });
+            await env.img_url.delete(pendingUploadKey(fileId));
+
+            return ok(c, {
+                fileId,
+                url,
+                src: `/file/${fileId}`,
+                provider: pending.provider,
+                size: fileSize,
+                type: pending.fileType,
+                fileName: pending.fileName
+            });
+        } catch (e) {
+            return fail(c, e.message || "完成上传失败", 500);
+        }
+    });
+}
+
+/**
+ * 获取可用的存储提供商及各自支持的能力，前端据此启用或禁用对应功能
+ * 登录用户绑定了自有存储时，列表中额外包含 personal 并作为该用户的默认提供商
+ */
 export async function getStorageProviders(c) {
-    const env = c.env;
-    try {
-        const manager = new StorageManager(env);
-        const available = manager.getAvailableProviders();
-        const defaultProvider = env.DEFAULT_STORAGE_PROVIDER || "telegram";
-        return ok(c, { default: defaultProvider, available });
-    } catch (e) {
-        return fail(c, e.message || "无法获取存储提供商", 500);
-    }
+    return withOptionalAuth(c, async () => {
+        const env = c.env;
+        try {
+            const manager = new StorageManager(env);
+            const user = c.get("user");
+            const hasUserStorage = await attachUserStorage(env, manager, user?.id);
+            const personal = hasUserStorage ? await getUserStorageSummary(env, user.id) : null;
+            const defaultProvider = hasUserStorage ? USER_STORAGE_PROVIDER : env.DEFAULT_STORAGE_PROVIDER || "telegram";
+
+            return ok(c, {
+                default: defaultProvider,
+                available: manager.getAvailableProviders(),
+                providers: manager.describeProviders(),
+                ...(personal ? { personal } : {})
+            });
+        } catch (e) {
+            return fail(c, e.message || "无法获取存储提供商", 500);
+        }
+    });
 }
 
 export async function healthCheck(c) {
@@ -144,21 +376,48 @@ export async function healthCheck(c) {
     }
 }
 
-export async function getUploadConfig(c) {
+/**
+ * 健康检查历史 (由定时任务记录，仅管理员)
+ * GET /api/storage/health/history?provider=s3&limit=144
+ */
+export async function getHealthCheckHistory(c) {
     const env = c.env;
     try {
-        const maxFileSizeBytes = parseMaxFileSize(env);
-        const allowedTypes = parseAllowedTypes(env);
-        const defaultProvider = env.DEFAULT_STORAGE_PROVIDER || "telegram";
-        const requireAuth = String(env.REQUIRE_AUTH_FOR_UPLOAD || "false").toLowerCase() === "true";
-        return ok(c, {
-            maxFileSize: maxFileSizeBytes,
-            allowedTypes,
-            defaultProvider,
-            requireAuth
-        });
+        if (!env.img_url) {
+            return fail(c, "未绑定 img_url KV 命名空间", 500);
+        }
+        const provider = c.req.query("provider") || undefined;
+        const limit = parseInt(c.req.query("limit"), 10) || undefined;
+        return ok(c, await getHealthHistory(env, { provider, limit }));
     } catch (e) {
-        return fail(c, e.message || "无法获取上传配置", 500);
+        return fail(c, e.message || "无法获取健康检查历史", 500);
     }
 }
 
+export async function getUploadConfig(c) {
+    return withOptionalAuth(c, async () => {
+        const env = c.env;
+        try {
+            const maxFileSizeBytes = parseMaxFileSize(env);
+            const allowedTypes = parseAllowedTypes(env);
+            const requireAuth = String(env.REQUIRE_AUTH_FOR_UPLOAD || "false").toLowerCase() === "true";
+            // 登录用户绑定了自有存储时，上传默认写入自有存储，直传和能力按该存储返回
+            const manager = new StorageManager(env);
+            const user = c.get("user");
+            const hasUserStorage = await attachUserStorage(env, manager, user?.id);
+            const defaultProvider = hasUserStorage ? USER_STORAGE_PROVIDER : env.DEFAULT_STORAGE_PROVIDER || "telegram";
+            return ok(c, {
+                maxFileSize: maxFileSizeBytes,
+                allowedTypes,
+                defaultProvider,
+                requireAuth,
+                encryptedUploads: isEncryptedUploadEnabled(env),
+                directUpload: manager.supportsDirectUpload(defaultProvider),
+                capabilities: manager.getProviderCapabilities(defaultProvider)
+            });
+        } catch (e) {
+            return fail(c, e.message || "无法获取上传配置", 500);
+        }
+    });
+}
+
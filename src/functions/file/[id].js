@@ -1,4 +1,32 @@
-import { StorageManager } from "../storage/StorageManager.js";
+import { getFileRecord } from "../utils/fileRecords.js";
+import { createStorageManagerForUser, getFileStorageConfigId, USER_STORAGE_PROVIDER } from "../storage/UserStorage.js";
+import { recordFileAccess } from "../storage/Tiering.js";
+import {
+    getFileValidators,
+    isNotModified,
+    resolveRequestRange,
+    notModifiedResponse,
+    rangeNotSatisfiableResponse,
+    sliceStream
+} from "../utils/httpRange.js";
+import { isFileCacheEnabled, getFileCacheKey, matchFileCache, putFileCache } from "../utils/fileCache.js";
+import { verifySignedRequest } from "../utils/signedUrl.js";
+import { verifyToken } from "../utils/auth.js";
+import {
+    parseImageTransform,
+    negotiateImageFormat,
+    withOutputFormat,
+    getTransformTag,
+    isAutoFormat,
+    transformImageResponse
+} from "../utils/imageTransform.js";
+
+const CACHE_CONTROL = 'public, max-age=31536000';
+// 旧版链接没有文件记录，只能沿用上游返回的校验头
+const NO_VALIDATORS = { etag: null, lastModified: null, modifiedAt: null, size: null };
+const PUBLIC_ACCESS = { query: '', cacheControl: CACHE_CONTROL };
+// 正在后台生成的格式变体 (缓存键)，同一实例中不重复转换
+const pendingVariants = new Set();
 
 export async function fileHandler(c) {
     const env = c.env;
@@ -27,31 +55,155 @@ export async function fileHandler(c) {
 
     try {
         let fileUrl = null;
+        let fileResponse = null;
         let metadata = null;
+        let validators = NO_VALIDATORS;
+        let cacheKey = null;
+        let transform = null;
+        let varyAccept = false;
+        let pendingVariant = null;
+        let cachedVariant = null;
+        let access = PUBLIC_ACCESS;
 
         // 首先检查 KV 存储中的文件元数据
         if (env.img_url) {
-            const record = await env.img_url.getWithMetadata(id);
+            const record = await getFileRecord(env, id);
             if (record && record.metadata) {
                 metadata = record.metadata;
 
-                // 根据存储提供商获取文件URL
-                const provider = metadata.provider || 'telegram'; // 默认为 telegram 以保持向后兼容
+                // 屏蔽的文件在读取缓存之前拦截，屏蔽后立即生效
+                if (isBlocked(metadata)) {
+                    return redirectBlocked(c, referer);
+                }
+
+                // 签名链接和私有图片的访问控制，同样在读取缓存之前检查
+                access = await checkFileAccess(c, id, metadata, url.searchParams);
+                if (access.error) {
+                    return c.text(access.error, 403);
+                }
 
-                try {
-                    const storageManager = new StorageManager(env);
-                    if (storageManager.isProviderAvailable(provider)) {
-                        const providerInstance = storageManager.getProvider(provider);
-                        fileUrl = await providerInstance.getFileUrl(id);
-                        console.log(`使用 ${provider} 存储提供商获取文件URL: ${fileUrl}`);
+                // 客户端加密的文件：页面导航时返回解密页面，页面再通过 ?raw=true 获取密文
+                // 浏览器导航请求的 Accept 也可能包含 image/，因此只根据 text/html 判断
+                const isNavigation = !isDownload && accept.includes('text/html');
+                if (metadata.encrypted && (isPreview || isNavigation) && url.searchParams.get('raw') !== 'true') {
+                    return createEncryptedViewerPage(c, id, access.query);
+                }
+
+                // 图片尺寸变换 (?w=&h=&fit=&q= 或 ?size=) 和格式转换 (?format= 或根据 Accept 自动选择)
+                // 加密文件和预览页面不做变换，下载时不自动转换格式
+                if (!metadata.encrypted && !isPreview) {
+                    const parsed = parseImageTransform(env, url.searchParams);
+                    if (parsed.error) {
+                        return c.text(parsed.error, 400);
+                    }
+                    const negotiated = await negotiateImageFormat(env, {
+                        searchParams: url.searchParams,
+                        accept,
+                        metadata,
+                        id,
+                        auto: !isDownload
+                    });
+                    if (negotiated.error) {
+                        return c.text(negotiated.error, 400);
+                    }
+                    transform = withOutputFormat(parsed.transform, negotiated.format);
+                    varyAccept = negotiated.vary;
+
+                    // 自动转换的格式只从缓存返回；未命中时先返回原格式，转换在响应之后进行并写入缓存
+                    if (isAutoFormat(transform)) {
+                        const variantKey = isFileCacheEnabled(env) ? getFileCacheKey(c.req.url, id, metadata, transform) : null;
+                        cachedVariant = variantKey ? await matchFileCache(variantKey) : null;
+                        if (!cachedVariant) {
+                            if (variantKey && c.req.method === 'GET') {
+                                pendingVariant = { key: variantKey, transform };
+                            }
+                            transform = parsed.transform;
+                        }
                     }
-                } catch (error) {
-                    console.error(`获取 ${provider} 文件URL失败:`, error);
-                    // 继续尝试传统方法
+                }
+
+                // 条件请求和 Range 根据文件记录处理，不依赖各存储提供商对请求头的支持
+                let range = null;
+                if (!isPreview || metadata.encrypted) {
+                    validators = getFileValidators(metadata, transform ? getTransformTag(transform) : null);
+                    if (isNotModified(c.req.raw, validators)) {
+                        trackAccess(c, id);
+                        return withVary(notModifiedResponse(validators, access.cacheControl), varyAccept);
+                    }
+
+                    ({ range } = resolveRequestRange(c.req.raw, validators));
+                    if (range === false) {
+                        return rangeNotSatisfiableResponse(validators.size);
+                    }
+
+                    // 缓存中保存完整内容，Range 请求命中后再截取
+                    if (isFileCacheEnabled(env)) {
+                        cacheKey = getFileCacheKey(c.req.url, id, metadata, transform || {});
+                        const cached = cachedVariant || await matchFileCache(cacheKey);
+                        if (cached) {
+                            trackAccess(c, id);
+                            const response = applyRange(c, cached, validators);
+                            if (response.status !== 416) {
+                                response.headers.set('X-Cache', 'HIT');
+                                response.headers.set('Cache-Control', access.cacheControl);
+                            }
+                            return withVary(response, varyAccept);
+                        }
+                    }
+                }
+
+                // 依次尝试主存储和副本，主存储不可用时自动读取副本
+                // 迁移后的文件在目标存储中的 fileId 可能与公开 id 不同
+                const locations = [
+                    { provider: metadata.provider || 'telegram', fileId: metadata.fileId || id }, // 默认为 telegram 以保持向后兼容
+                    ...(Array.isArray(metadata.replicas) ? metadata.replicas : [])
+                ];
+                // 保存在用户自有存储中的文件需要加载文件所属用户上传时使用的存储配置
+                const storageManager = await createStorageManagerForUser(
+                    env,
+                    locations.some(location => location.provider === USER_STORAGE_PROVIDER) ? metadata.userId : null,
+                    getFileStorageConfigId(metadata)
+                );
+
+                fileResponse = await readStoredFile(storageManager, locations, {
+                    method: c.req.method,
+                    range: range ? `bytes=${range.start}-${range.end}` : undefined
+                });
+                if (fileResponse && pendingVariant) {
+                    scheduleVariant(c, id, pendingVariant, () => readStoredFile(storageManager, locations));
                 }
             }
         }
 
+        if (fileResponse) {
+            trackAccess(c, id);
+
+            if (isPreview && !metadata.encrypted) {
+                return createPreviewPage(c, id, `/file/${id}`, access.query);
+            }
+
+            // 变换需要完整的原图，变换后再按 Range 截取
+            const source = transform ? await transformImageResponse(env, fileResponse, transform) : fileResponse;
+            const response = applyRange(c, source, validators);
+            if (response.status === 416) {
+                return response;
+            }
+
+            const result = metadata.encrypted
+                ? buildEncryptedResponse(response)
+                : buildFileResponse(c, response, id);
+
+            if (cacheKey) {
+                if (c.req.method === 'GET') {
+                    putFileCache(c, cacheKey, result);
+                }
+                result.headers.set('X-Cache', 'MISS');
+            }
+            // 缓存键已区分格式，Vary 和私有图片的缓存策略只在返回时添加，不写入缓存条目
+            result.headers.set('Cache-Control', access.cacheControl);
+            return withVary(result, varyAccept);
+        }
+
         // 如果没有从新系统获取到URL，尝试传统方法
         if (!fileUrl) {
             // 尝试处理通过Telegram Bot API上传的文件
@@ -108,12 +260,8 @@ export async function fileHandler(c) {
             };
 
             // 根据ListType和Label处理
-            if (metadata.ListType === "Block" || metadata.Label === "adult") {
-                if (referer) {
-                    return c.redirect('/images/blocked.png');
-                } else {
-                    return c.redirect('/block-img.html');
-                }
+            if (isBlocked(metadata)) {
+                return redirectBlocked(c, referer);
             }
 
             // 保存元数据
@@ -128,13 +276,128 @@ export async function fileHandler(c) {
     }
 }
 
+function isBlocked(metadata) {
+    return metadata.ListType === "Block" || metadata.Label === "adult";
+}
+
+/**
+ * 屏蔽的文件：嵌入时返回占位图，直接访问时跳转到提示页面
+ */
+function redirectBlocked(c, referer) {
+    if (referer) {
+        return c.redirect('/images/blocked.png');
+    }
+    return c.redirect('/block-img.html');
+}
+
+/**
+ * 检查签名链接和私有图片的访问权限
+ * 带有 exp / sig 参数的链接必须签名有效且未过期；私有图片只允许有效的签名链接或已登录的所有者访问
+ * 返回 { error } 表示拒绝访问，否则返回页面中需要保留的签名参数和响应的缓存策略
+ */
+async function checkFileAccess(c, id, metadata, searchParams) {
+    const signed = await verifySignedRequest(c.env, id, searchParams);
+    if (signed.status === 'expired') {
+        return { error: '链接已过期' };
+    }
+    if (signed.status === 'invalid') {
+        return { error: '链接签名无效' };
+    }
+
+    const query = signed.status === 'valid'
+        ? `exp=${signed.expiresAt}&sig=${encodeURIComponent(searchParams.get('sig'))}`
+        : '';
+    if (!metadata.private) {
+        return { ...PUBLIC_ACCESS, query };
+    }
+
+    // 私有图片不允许共享缓存保存，浏览器缓存不超过签名的有效期
+    if (signed.status === 'valid') {
+        const maxAge = Math.max(signed.expiresAt - Math.floor(Date.now() / 1000), 0);
+        return { query, cacheControl: `private, max-age=${maxAge}` };
+    }
+    if (await isFileOwner(c, metadata)) {
+        return { query: '', cacheControl: 'private, no-cache' };
+    }
+    return { error: '该图片为私有图片，需要有效的签名链接' };
+}
+
+async function isFileOwner(c, metadata) {
+    const authHeader = c.req.header('Authorization') || '';
+    if (!authHeader.startsWith('Bearer ') || !metadata.userId || metadata.userId === 'anonymous') {
+        return false;
+    }
+    const { valid, payload } = await verifyToken(authHeader.substring(7), c.env);
+    return valid && payload.id === metadata.userId;
+}
+
+/**
+ * 依次尝试主存储和副本，全部失败时返回 null
+ */
+async function readStoredFile(storageManager, locations, options = {}) {
+    for (const location of locations) {
+        try {
+            const response = await storageManager.getObject(location.provider, location.fileId, options);
+            if (response) {
+                if (location !== locations[0]) {
+                    console.warn(`主存储 ${locations[0].provider} 不可用，已从副本 ${location.provider} 读取: ${location.fileId}`);
+                }
+                return response;
+            }
+        } catch (error) {
+            console.error(`从 ${location.provider} 读取文件失败:`, error);
+        }
+        // 继续尝试下一个副本
+    }
+    return null;
+}
+
+/**
+ * 在响应返回后生成自动转换格式的变体并写入缓存，之后的请求直接从缓存返回
+ * 重新读取完整的原图，不影响本次响应的流式传输和 Range 处理
+ */
+function scheduleVariant(c, id, variant, readSource) {
+    const key = variant.key.url;
+    if (pendingVariants.has(key)) return;
+    pendingVariants.add(key);
+
+    const task = (async () => {
+        const source = await readSource();
+        if (!source) return;
+        const transformed = await transformImageResponse(c.env, source, variant.transform);
+        putFileCache(c, variant.key, buildFileResponse(c, transformed, id));
+    })()
+        .catch(error => console.error('生成图片格式变体失败:', error))
+        .finally(() => pendingVariants.delete(key));
+    try {
+        c.executionCtx.waitUntil(task);
+    } catch {
+        // 没有 ExecutionContext 的运行环境 (如 Node) 中直接在后台执行
+    }
+}
+
+/**
+ * 在响应返回后记录访问时间，供分层存储判断文件是否长期未访问
+ */
+function trackAccess(c, id) {
+    const task = recordFileAccess(c.env, id);
+    try {
+        c.executionCtx.waitUntil(task);
+    } catch {
+        // 没有 ExecutionContext 的运行环境 (如 Node) 中直接在后台执行
+    }
+}
+
 /**
  * 创建图片预览页面
  */
-function createPreviewPage(c, id, imageUrl) {
+function createPreviewPage(c, id, imageUrl, accessQuery = '') {
     const currentUrl = new URL(c.req.url);
     const baseUrl = `${currentUrl.protocol}//${currentUrl.host}`;
-    const downloadUrl = `${baseUrl}/file/${id}?download=true`;
+    const downloadUrl = `${baseUrl}/file/${id}?download=true${accessQuery ? `&${accessQuery}` : ''}`;
+    if (accessQuery) {
+        imageUrl = `${imageUrl}?${accessQuery}`;
+    }
 
     const html = `<!DOCTYPE html>
 <html lang="zh-CN">
@@ -762,7 +1025,7 @@ function createPreviewPage(c, id, imageUrl) {
         // 更新媒体信息
         function updateMediaInfo() {
             const originalFormat = '${id}'.includes('.') ? '${id}'.split('.').pop().toLowerCase() : '';
-            const extension = imageUrl.split('.').pop().toLowerCase();
+            const extension = imageUrl.split('?')[0].split('.').pop().toLowerCase();
 
             if (currentElement === previewImage) {
                 // 图片信息
@@ -931,27 +1194,250 @@ async function getFilePath(env, fileId) {
     }
 }
 
+/**
+ * 创建加密文件的解密查看页面
+ * 密钥只存在于链接的 # 片段中，由浏览器读取后在本地解密，不会发送到服务器
+ */
+function createEncryptedViewerPage(c, id, accessQuery = '') {
+    const rawUrl = `/file/${encodeURIComponent(id)}?raw=true${accessQuery ? `&${accessQuery}` : ''}`;
+
+    const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="referrer" content="no-referrer">
+    <meta name="robots" content="noindex">
+    <title>加密图片 - TG-Image</title>
+    <link rel="icon" href="/images/favicon.ico" type="image/x-icon">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            min-height: 100vh;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 1.5rem;
+            padding: 2rem;
+            background: linear-gradient(135deg, #0f0f23 0%, #1a1a2e 50%, #16213e 100%);
+            color: #ffffff;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        }
+
+        .status {
+            color: rgba(255, 255, 255, 0.7);
+            text-align: center;
+        }
+
+        .status.error {
+            color: #ef4444;
+        }
+
+        .content img,
+        .content video {
+            max-width: 100%;
+            max-height: 80vh;
+            border-radius: 8px;
+            box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.8);
+        }
+
+        .download {
+            display: none;
+            padding: 0.6rem 1.4rem;
+            border-radius: 8px;
+            background: #4361ee;
+            color: #ffffff;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <p class="status" id="status">正在解密...</p>
+    <div class="content" id="content"></div>
+    <a class="download" id="download">下载原图</a>
+
+    <script src="/js/encryption.js"></script>
+    <script>
+        (async () => {
+            const status = document.getElementById('status');
+            const showError = (message) => {
+                status.textContent = message;
+                status.className = 'status error';
+            };
+
+            const key = ImageCrypto.getKeyFromHash();
+            if (!key) {
+                showError('链接中缺少解密密钥，请使用完整的分享链接访问');
+                return;
+            }
+
+            try {
+                const response = await fetch(${JSON.stringify(rawUrl)});
+                if (!response.ok) {
+                    throw new Error('文件获取失败: ' + response.status);
+                }
+
+                const file = await ImageCrypto.decrypt(await response.arrayBuffer(), key);
+                const objectUrl = URL.createObjectURL(file.blob);
+                const media = document.createElement(file.type.startsWith('video/') ? 'video' : 'img');
+                media.src = objectUrl;
+                if (media.tagName === 'VIDEO') {
+                    media.controls = true;
+                } else {
+                    media.alt = file.name;
+                }
+                document.getElementById('content').appendChild(media);
+
+                const download = document.getElementById('download');
+                download.href = objectUrl;
+                download.download = file.name;
+                download.style.display = 'inline-block';
+
+                document.title = file.name + ' - TG-Image';
+                status.textContent = file.name;
+            } catch (error) {
+                console.error('解密失败:', error);
+                showError(error.name === 'OperationError' ? '解密失败，密钥不正确或文件已损坏' : error.message);
+            }
+        })();
+    </script>
+</body>
+</html>`;
+
+    return c.html(html, 200, {
+        'Cache-Control': 'no-store',
+        'Referrer-Policy': 'no-referrer'
+    });
+}
+
+/**
+ * 返回加密文件的密文，统一使用二进制类型并禁止内容嗅探
+ */
+function buildEncryptedResponse(response) {
+    const headers = new Headers({
+        'Content-Type': 'application/octet-stream',
+        'Cache-Control': CACHE_CONTROL,
+        'X-Content-Type-Options': 'nosniff',
+        'X-Encrypted': 'true'
+    });
+    for (const name of ['Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified']) {
+        const value = response.headers.get(name);
+        if (value) {
+            headers.set(name, value);
+        }
+    }
+
+    return new Response(response.body, {
+        status: response.status,
+        headers
+    });
+}
+
 /**
  * 代理文件请求
  * 直接传递原始文件内容，不进行压缩，确保原图质量
+ * 只转发 Range 和条件请求头，上游不支持 Range 时由 applyRange 截取
  */
 async function proxyFile(c, fileUrl) {
+    const headers = {};
+    for (const name of ['Range', 'If-Range', 'If-None-Match', 'If-Modified-Since']) {
+        const value = c.req.header(name);
+        if (value) {
+            headers[name] = value;
+        }
+    }
+
     const response = await fetch(fileUrl, {
         method: c.req.method,
-        headers: c.req.headers
+        headers
     });
 
+    if (response.status === 304 || response.status === 416) {
+        const passthrough = new Headers({ 'Cache-Control': CACHE_CONTROL });
+        for (const name of ['ETag', 'Last-Modified', 'Content-Range']) {
+            const value = response.headers.get(name);
+            if (value) {
+                passthrough.set(name, value);
+            }
+        }
+        return new Response(null, { status: response.status, headers: passthrough });
+    }
+
     if (!response.ok) {
         return c.text('文件获取失败', response.status);
     }
 
+    const ranged = applyRange(c, response, NO_VALIDATORS);
+    if (ranged.status === 416) {
+        return ranged;
+    }
+    return buildFileResponse(c, ranged, fileUrl);
+}
+
+/**
+ * 统一 Range 响应并写入稳定的 ETag / Last-Modified
+ * 已返回 206 的上游直接透传；忽略 Range 返回完整内容的上游 (R2 以外的部分提供商、旧版链接) 在此截取
+ */
+function applyRange(c, response, validators) {
+    const headers = new Headers(response.headers);
+    let status = response.status;
+    let body = response.body;
+
+    if (status === 200 && c.req.header('Range')) {
+        const size = parseInt(response.headers.get('Content-Length'), 10) || validators.size;
+        const { range } = resolveRequestRange(c.req.raw, validators, size);
+        if (range === false) {
+            body?.cancel().catch(() => {});
+            return rangeNotSatisfiableResponse(size);
+        }
+        if (range) {
+            status = 206;
+            body = body ? sliceStream(body, range.start, range.end) : null;
+            headers.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            headers.set('Content-Length', String(range.end - range.start + 1));
+        }
+    }
+
+    headers.set('Accept-Ranges', 'bytes');
+    if (validators.etag) {
+        headers.set('ETag', validators.etag);
+    }
+    if (validators.lastModified) {
+        headers.set('Last-Modified', validators.lastModified);
+    }
+
+    return new Response(body, { status, headers });
+}
+
+/**
+ * 内容随 Accept 自动选择格式时添加 Vary: Accept，避免中间缓存把 WebP / AVIF 返回给不支持的客户端
+ */
+function withVary(response, varyAccept) {
+    if (varyAccept) {
+        const vary = response.headers.get('Vary');
+        response.headers.set('Vary', vary ? `${vary}, Accept` : 'Accept');
+    }
+    return response;
+}
+
+/**
+ * 根据上游响应构造返回给客户端的文件响应
+ * sourceName 用于在上游缺少 Content-Type 时推断文件类型
+ */
+function buildFileResponse(c, response, sourceName) {
     const headers = new Headers();
     response.headers.forEach((value, key) => {
         headers.set(key, value);
     });
 
     // 添加缓存控制
-    headers.set('Cache-Control', 'public, max-age=31536000');
+    headers.set('Cache-Control', CACHE_CONTROL);
 
     // 确保设置正确的Content-Type，以便浏览器能够预览图片
     const contentType = response.headers.get('Content-Type');
@@ -972,7 +1458,7 @@ async function proxyFile(c, fileUrl) {
         }
     } else {
         // 根据URL推断内容类型
-        const fileExtension = fileUrl.split('.').pop().toLowerCase();
+        const fileExtension = sourceName.split('.').pop().toLowerCase();
         console.log(`从URL推断文件扩展名: ${fileExtension}`);
 
         if (['jpg', 'jpeg'].includes(fileExtension)) {
@@ -0,0 +1,66 @@
+/**
+ * 定时任务入口 (Workers Cron Triggers)
+ * 触发频率在 wrangler.toml 的 [triggers] crons 中配置
+ */
+import { processDeleteQueue } from "./storage/DeletionQueue.js";
+import { runGarbageCollection } from "./storage/GarbageCollector.js";
+import { isHealthCheckDue, recordHealthCheck } from "./storage/HealthMonitor.js";
+import { isTieringDue, runTiering } from "./storage/Tiering.js";
+
+const DEFAULT_GC_INTERVAL_HOURS = 24;
+// 定时垃圾回收的上次运行时间，手动执行不影响定时任务的间隔
+const GC_LAST_RUN_KEY = 'gc:scheduled:lastRun';
+
+export async function scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledTasks(env));
+}
+
+async function runScheduledTasks(env) {
+    try {
+        if (await isHealthCheckDue(env)) {
+            await recordHealthCheck(env);
+        }
+    } catch (error) {
+        console.error('记录存储健康状态失败:', error);
+    }
+
+    try {
+        const summary = await processDeleteQueue(env);
+        if (summary.processed > 0) {
+            console.log('删除队列处理结果:', JSON.stringify(summary));
+        }
+    } catch (error) {
+        console.error('处理删除队列失败:', error);
+    }
+
+    try {
+        if (await isGcDue(env)) {
+            await env.img_url.put(GC_LAST_RUN_KEY, String(Date.now()));
+            const report = await runGarbageCollection(env);
+            console.log('垃圾回收完成:', JSON.stringify(report.providers));
+        }
+    } catch (error) {
+        console.error('垃圾回收失败:', error);
+    }
+
+    try {
+        if (await isTieringDue(env)) {
+            await runTiering(env);
+        }
+    } catch (error) {
+        console.error('分层存储执行失败:', error);
+    }
+}
+
+/**
+ * 垃圾回收需要 GC_ENABLED=true，且距上次运行超过 GC_INTERVAL_HOURS
+ */
+async function isGcDue(env) {
+    if (String(env.GC_ENABLED || 'false').toLowerCase() !== 'true' || !env.img_url) {
+        return false;
+    }
+
+    const intervalHours = parseFloat(env.GC_INTERVAL_HOURS) || DEFAULT_GC_INTERVAL_HOURS;
+    const lastRun = parseInt(await env.img_url.get(GC_LAST_RUN_KEY), 10);
+    return !lastRun || Date.now() - lastRun >= intervalHours * 60 * 60 * 1000;
+}
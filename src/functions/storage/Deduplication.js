@@ -0,0 +1,163 @@
+/**
+ * 基于内容哈希的上传去重
+ * hash:{sha256} 记录文件内容的存储位置和引用它的 file:* 记录；
+ * 相同内容再次上传时只新增一条引用，所有引用都删除后才真正删除存储中的数据
+ */
+
+const HASH_PREFIX = 'hash:';
+
+export function isDeduplicationEnabled(env) {
+    return String(env.DEDUP_ENABLED || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * 上传文件，内容已存在时复用已有对象
+ * 返回 StorageManager.uploadFile 的结果，附带 hash、deduplicated 以及该用户此前上传的相同文件 previousUpload
+ * 未开启 DEDUP_ENABLED 或上传到用户自有存储时直接上传
+ * 开启后需要将整个文件读入内存计算哈希，默认关闭
+ */
+export async function uploadDeduplicated(env, storageManager, file, options = {}, userId = null) {
+    if (!isDeduplicationEnabled(env) || storageManager.getProviderOwner(options.provider)) {
+        return await storageManager.uploadFile(file, options);
+    }
+
+    const hash = await hashFile(file);
+    const entry = env.img_url ? await getHashEntry(env, hash) : null;
+    const providerName = options.provider || env.DEFAULT_STORAGE_PROVIDER || 'telegram';
+    const existing = entry ? findStoredCopy(storageManager, entry, providerName) : null;
+    // 哈希索引只记录一个位置，已有内容无法复用时新对象直接上传，不加入索引，也不参与去重
+    // (不在请求的提供商上或该提供商不可用；登录用户的文件可能被设为私有，不复用匿名上传的公开对象)
+    if (entry && (!existing || (userId && existing.public !== false))) {
+        return await storageManager.uploadFile(file, options);
+    }
+    const previousUpload = findPreviousUpload(existing, userId);
+
+    const result = existing
+        ? reuseStoredCopy(existing, file)
+        : await storageManager.uploadFile(file, options);
+
+    if (existing) {
+        console.log(`文件 ${file.name} 内容已存在，复用 ${existing.location.provider}:${existing.location.fileId}`);
+    }
+
+    return { ...result, hash, ...(previousUpload ? { previousUpload } : {}) };
+}
+
+/**
+ * 计算文件内容的 SHA-256
+ */
+export async function hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 检查哈希索引记录的对象能否用于上传到 providerName 的文件
+ * 只复用请求的提供商上的对象，所在提供商不可用时同样不复用
+ */
+export function findStoredCopy(storageManager, entry, providerName) {
+    if (!entry || !entry.location || entry.location.provider !== providerName ||
+        !storageManager.isProviderAvailable(providerName)) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * 复用已存储的内容，生成与 StorageManager.uploadFile 结构一致的结果
+ * fileId 是新的公开 id，storedFileId 是实际存储对象的 id
+ */
+export function reuseStoredCopy(entry, file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const fileKey = `${Date.now()}_${Math.random().toString(36).substring(2, 8)}.${extension}`;
+
+    return {
+        fileId: fileKey,
+        originalName: file.name,
+        size: file.size,
+        type: file.type,
+        // 共享对象可能属于私有文件，只通过新的 id 经 /file/ 访问，不暴露存储桶直链
+        url: `/file/${fileKey}`,
+        provider: entry.location.provider,
+        storedFileId: entry.location.fileId,
+        replicas: entry.location.replicas || [],
+        deduplicated: true,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * 查找该用户此前上传的相同文件，用于提示 "已上传过"
+ */
+export function findPreviousUpload(entry, userId) {
+    if (!entry || !userId) return null;
+    const previous = entry.refs.find(ref => ref.userId === userId);
+    return previous ? { fileId: previous.fileKey, uploadedAt: previous.addedAt } : null;
+}
+
+/**
+ * 为内容哈希添加一条引用，首次出现时记录存储位置
+ * public 表示对象为匿名上传，可能设置了公开读取 ACL (旧索引没有该字段，同样视为公开)
+ */
+export async function addHashReference(env, hash, { fileKey, userId, result }) {
+    if (!env.img_url) return;
+
+    const key = `${HASH_PREFIX}${hash}`;
+    const entry = await env.img_url.get(key, { type: 'json' }) || {
+        location: {
+            provider: result.provider,
+            fileId: result.storedFileId || result.fileId,
+            replicas: result.replicas || []
+        },
+        size: result.size,
+        type: result.type,
+        public: !userId,
+        refs: [],
+        createdAt: Date.now()
+    };
+
+    if (!entry.refs.some(ref => ref.fileKey === fileKey)) {
+        entry.refs.push({ fileKey, userId: userId || null, addedAt: Date.now() });
+    }
+    await env.img_url.put(key, JSON.stringify(entry));
+}
+
+/**
+ * 移除一条引用，返回剩余的引用数量；没有引用时删除哈希索引
+ */
+export async function releaseHashReference(env, hash, fileKey) {
+    if (!env.img_url) return 0;
+
+    const key = `${HASH_PREFIX}${hash}`;
+    const entry = await env.img_url.get(key, { type: 'json' });
+    if (!entry) return 0;
+
+    entry.refs = entry.refs.filter(ref => ref.fileKey !== fileKey);
+    if (entry.refs.length === 0) {
+        await env.img_url.delete(key);
+        return 0;
+    }
+
+    await env.img_url.put(key, JSON.stringify(entry));
+    return entry.refs.length;
+}
+
+/**
+ * 读取内容哈希索引
+ */
+export async function getHashEntry(env, hash) {
+    return await env.img_url.get(`${HASH_PREFIX}${hash}`, { type: 'json' });
+}
+
+/**
+ * 更新内容的存储位置 (迁移后调用)
+ * 调用方需要同时更新所有指向原位置的引用记录 (见 FileMigration.migrateFile)
+ */
+export async function updateHashLocation(env, hash, location) {
+    const key = `${HASH_PREFIX}${hash}`;
+    const entry = await env.img_url.get(key, { type: 'json' });
+    if (!entry) return;
+
+    entry.location = location;
+    await env.img_url.put(key, JSON.stringify(entry));
+}
@@ -0,0 +1,235 @@
+/**
+ * 存储删除队列
+ * 删除文件时通过所属提供商删除实际数据，失败的删除写入 KV 队列由定时任务重试；
+ * 不支持删除的提供商 (如 Telegram) 记录为不可回收的墓碑
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { releaseHashReference } from './Deduplication.js';
+import { createStorageManagerForUser, getFileStorageConfigId, USER_STORAGE_PROVIDER } from './UserStorage.js';
+import { getMigratedLocations } from './FileMigration.js';
+
+const QUEUE_PREFIX = 'delete:queue:';
+const FAILED_PREFIX = 'delete:failed:';
+const TOMBSTONE_PREFIX = 'tombstone:';
+const MAX_ATTEMPTS = 8;
+// 重试间隔从 1 分钟开始翻倍，最长 1 天
+const BASE_RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 获取文件的所有存储位置：主存储、副本以及迁移前的原位置
+ */
+export function getFileLocations(fileKey, metadata = {}) {
+    const locations = [
+        { provider: metadata.provider || 'telegram', fileId: metadata.fileId || fileKey },
+        ...(Array.isArray(metadata.replicas) ? metadata.replicas : []),
+        ...getMigratedLocations(metadata)
+    ];
+
+    const seen = new Set();
+    return locations.filter(location => {
+        const id = `${location.provider}:${location.fileId}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+/**
+ * 删除文件在所有存储位置上的数据
+ * 返回每个位置的处理结果，status 为 deleted / queued / unreclaimable / shared
+ * 去重后被其他记录共享的内容只移除引用，最后一个引用删除时才删除数据
+ */
+export async function deleteStoredFile(env, fileKey, metadata) {
+    const locations = getFileLocations(fileKey, metadata);
+
+    if (metadata && metadata.hash) {
+        const remaining = await releaseHashReference(env, metadata.hash, fileKey);
+        if (remaining > 0) {
+            return locations.map(location => ({ ...location, status: 'shared', references: remaining }));
+        }
+    }
+
+    const userId = metadata?.userId || null;
+    const storageManager = locations.some(location => location.provider === USER_STORAGE_PROVIDER)
+        ? await createStorageManagerForUser(env, userId, getFileStorageConfigId(metadata))
+        : new StorageManager(env);
+    const results = [];
+
+    for (const location of locations) {
+        results.push(await deleteStoredLocation(env, storageManager, fileKey, metadata, location));
+    }
+
+    return results;
+}
+
+/**
+ * 删除单个存储位置上的数据，失败时加入重试队列，不支持删除时记录墓碑
+ */
+export async function deleteStoredLocation(env, storageManager, fileKey, metadata, location) {
+    const result = await attemptDelete(storageManager, location);
+
+    if (result.status === 'unreclaimable') {
+        await addTombstone(env, fileKey, metadata, location, result.message);
+    } else if (result.status === 'failed') {
+        await enqueueDelete(env, fileKey, {
+            ...location,
+            userId: metadata?.userId || null,
+            ...(location.provider === USER_STORAGE_PROVIDER ? { storageConfigId: getFileStorageConfigId(metadata) } : {})
+        }, result.message);
+        result.status = 'queued';
+    }
+
+    return result;
+}
+
+/**
+ * 处理删除队列中到期的条目
+ */
+export async function processDeleteQueue(env, { limit = 50 } = {}) {
+    const summary = { processed: 0, deleted: 0, retried: 0, failed: 0, unreclaimable: 0 };
+    if (!env.img_url) return summary;
+
+    const storageManager = new StorageManager(env);
+    const keys = [];
+    let cursor;
+    do {
+        const page = await env.img_url.list({ prefix: QUEUE_PREFIX, ...(cursor ? { cursor } : {}) });
+        keys.push(...page.keys);
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    for (const key of keys) {
+        if (summary.processed >= limit) break;
+
+        const entry = await env.img_url.get(key.name, { type: 'json' });
+        if (!entry || entry.nextAttemptAt > Date.now()) continue;
+
+        summary.processed++;
+        // 用户自有存储中的文件使用所属用户的存储配置删除
+        const manager = entry.provider === USER_STORAGE_PROVIDER
+            ? await createStorageManagerForUser(env, entry.userId, entry.storageConfigId || getFileStorageConfigId())
+            : storageManager;
+        const result = await attemptDelete(manager, entry);
+
+        if (result.status === 'deleted') {
+            await env.img_url.delete(key.name);
+            summary.deleted++;
+            continue;
+        }
+
+        if (result.status === 'unreclaimable') {
+            await addTombstone(env, entry.fileKey, null, entry, result.message);
+            await env.img_url.delete(key.name);
+            summary.unreclaimable++;
+            continue;
+        }
+
+        entry.attempts++;
+        entry.lastError = result.message;
+        entry.updatedAt = Date.now();
+
+        if (entry.attempts >= MAX_ATTEMPTS) {
+            // 超过重试次数后移入失败列表，需要人工处理
+            await env.img_url.put(`${FAILED_PREFIX}${entry.provider}:${entry.fileId}`, JSON.stringify(entry));
+            await env.img_url.delete(key.name);
+            console.error(`删除 ${entry.provider}:${entry.fileId} 重试 ${entry.attempts} 次后仍失败: ${result.message}`);
+            summary.failed++;
+        } else {
+            entry.nextAttemptAt = Date.now() + Math.min(BASE_RETRY_DELAY * 2 ** entry.attempts, MAX_RETRY_DELAY);
+            await env.img_url.put(key.name, JSON.stringify(entry));
+            summary.retried++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * 统计删除队列、失败列表和墓碑数量
+ */
+export async function getDeletionStats(env) {
+    const count = async (prefix) => {
+        let total = 0;
+        let cursor;
+        do {
+            const page = await env.img_url.list({ prefix, ...(cursor ? { cursor } : {}) });
+            total += page.keys.length;
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return total;
+    };
+
+    return {
+        queued: await count(QUEUE_PREFIX),
+        failed: await count(FAILED_PREFIX),
+        tombstones: await count(TOMBSTONE_PREFIX)
+    };
+}
+
+async function attemptDelete(storageManager, location) {
+    const { provider, fileId } = location;
+
+    if (!storageManager.isProviderAvailable(provider)) {
+        // 文件所在的用户存储配置已被删除，不能改用当前绑定的存储桶删除
+        if (provider === USER_STORAGE_PROVIDER) {
+            return { provider, fileId, status: 'unreclaimable', message: '文件所在的用户存储配置已删除' };
+        }
+        return { provider, fileId, status: 'failed', message: `存储提供商 '${provider}' 未配置或不可用` };
+    }
+
+    try {
+        const result = await storageManager.deleteFile(fileId, provider);
+        if (result && result.success) {
+            return { provider, fileId, status: 'deleted' };
+        }
+        if (result && result.unsupported) {
+            return { provider, fileId, status: 'unreclaimable', message: result.message };
+        }
+        return { provider, fileId, status: 'failed', message: result?.message || '删除失败' };
+    } catch (error) {
+        return { provider, fileId, status: 'failed', message: error.message };
+    }
+}
+
+async function enqueueDelete(env, fileKey, location, message) {
+    if (!env.img_url) return;
+
+    const entry = {
+        fileKey,
+        provider: location.provider,
+        fileId: location.fileId,
+        userId: location.userId || null,
+        ...(location.storageConfigId ? { storageConfigId: location.storageConfigId } : {}),
+        attempts: 1,
+        lastError: message,
+        nextAttemptAt: Date.now() + BASE_RETRY_DELAY,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    await env.img_url.put(`${QUEUE_PREFIX}${location.provider}:${location.fileId}`, JSON.stringify(entry));
+    console.warn(`删除 ${location.provider}:${location.fileId} 失败，已加入重试队列: ${message}`);
+}
+
+/**
+ * 记录无法回收的存储位置，同一文件的多个位置合并到一条墓碑中
+ */
+async function addTombstone(env, fileKey, metadata, location, message) {
+    if (!env.img_url) return;
+
+    const key = `${TOMBSTONE_PREFIX}${fileKey}`;
+    const tombstone = await env.img_url.get(key, { type: 'json' }) || {
+        fileKey,
+        fileName: metadata?.fileName || null,
+        fileSize: metadata?.fileSize || 0,
+        userId: metadata?.userId || null,
+        locations: [],
+        deletedAt: Date.now()
+    };
+
+    if (!tombstone.locations.some(l => l.provider === location.provider && l.fileId === location.fileId)) {
+        tombstone.locations.push({ provider: location.provider, fileId: location.fileId, reason: message });
+    }
+    await env.img_url.put(key, JSON.stringify(tombstone));
+}
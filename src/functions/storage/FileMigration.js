@@ -0,0 +1,140 @@
+/**
+ * 单文件迁移
+ * 将 file:* 记录对应的数据复制到另一个提供商并更新记录，公开的 /file/:id 地址保持不变；
+ * 供存储迁移任务 (api/migration.js) 和分层存储 (Tiering.js) 共用
+ */
+import { getHashEntry, updateHashLocation } from './Deduplication.js';
+import { moveUsage } from './Usage.js';
+import { deleteStoredLocation } from './DeletionQueue.js';
+
+// migratedFrom 保存在 KV 元数据中 (总大小上限 1024 字节)，只保留最近几次迁移的原位置
+const MAX_MIGRATED_LOCATIONS = 3;
+
+/**
+ * 迁移前的所有原位置，按迁移顺序排列
+ * 旧记录中的 migratedFrom 是单个位置对象
+ */
+export function getMigratedLocations(metadata = {}) {
+    const migratedFrom = metadata.migratedFrom;
+    if (!migratedFrom) return [];
+    return Array.isArray(migratedFrom) ? migratedFrom : [migratedFrom];
+}
+
+/**
+ * 将单个文件从 job.source 迁移到 job.target，返回 false 表示记录不属于源存储而被跳过
+ * 源存储中的数据保留，位置追加到元数据的 migratedFrom 列表中，删除文件时一并清理；
+ * 去重共享同一对象的其他记录一起指向目标存储
+ */
+export async function migrateFile(env, storageManager, job, fileKey) {
+    const record = await env.img_url.getWithMetadata(`file:${fileKey}`);
+    const metadata = record && record.metadata;
+    if (!metadata || (metadata.provider || 'telegram') !== job.source) {
+        return false;
+    }
+
+    const sourceFileId = metadata.fileId || fileKey;
+
+    // 去重共享的内容如果已被其他记录迁移到目标存储，直接复用
+    const hashEntry = metadata.hash ? await getHashEntry(env, metadata.hash) : null;
+    const reused = Boolean(hashEntry && hashEntry.location.provider === job.target);
+    let targetFileId;
+
+    if (reused) {
+        targetFileId = hashEntry.location.fileId;
+    } else {
+        const response = await storageManager.getObject(job.source, sourceFileId);
+        if (!response) {
+            throw new Error(`无法从 ${job.source} 读取文件`);
+        }
+
+        const fileType = metadata.fileType || response.headers.get('Content-Type') || 'application/octet-stream';
+        const file = new File([await response.arrayBuffer()], metadata.fileName || fileKey, { type: fileType });
+
+        // 目标存储尽量沿用公开 id 作为对象键，登录用户的文件 (包括与其共享的内容) 不设置公开读取 ACL
+        const isUserFile = Boolean(metadata.userId && metadata.userId !== 'anonymous') || hashEntry?.public === false;
+        const result = await storageManager.getProvider(job.target).uploadFile(file, storageManager.getUploadOptions(job.target, { fileName: fileKey, public: !isUserFile }));
+        targetFileId = result.fileId;
+
+        if (hashEntry) {
+            await updateHashLocation(env, metadata.hash, { provider: job.target, fileId: targetFileId, replicas: [] });
+        }
+    }
+
+    const target = { provider: job.target, fileId: targetFileId };
+    // 复用目标存储中已有的对象时，提供商的总字节数已在该对象存储时计入
+    await updateMigratedRecord(env, storageManager, fileKey, record, job, target, { shared: reused });
+
+    // 哈希索引只记录一个位置，共享同一对象的其他记录一起指向新位置，删除最后一条记录时才能找到并删除目标对象
+    if (hashEntry && !reused) {
+        for (const ref of hashEntry.refs) {
+            if (ref.fileKey === fileKey) continue;
+            const other = await env.img_url.getWithMetadata(`file:${ref.fileKey}`);
+            const otherMetadata = other && other.metadata;
+            if (otherMetadata && (otherMetadata.provider || 'telegram') === job.source &&
+                (otherMetadata.fileId || ref.fileKey) === sourceFileId) {
+                await updateMigratedRecord(env, storageManager, ref.fileKey, other, job, target, { shared: true });
+            }
+        }
+    }
+
+    console.log(`文件 ${fileKey} 已从 ${job.source} 迁移到 ${job.target}: ${targetFileId}`);
+    return true;
+}
+
+/**
+ * 将文件记录指向迁移后的位置，原位置追加到 migratedFrom，并转移用量
+ * shared 表示记录与其他记录共享同一对象，只转移用户用量，不重复转移提供商的总字节数
+ */
+async function updateMigratedRecord(env, storageManager, fileKey, record, job, target, { shared = false } = {}) {
+    const metadata = record.metadata;
+
+    // 多次迁移时保留每一次的原位置，迁回的位置已是主存储，不再重复记录
+    const locations = [
+        ...getMigratedLocations(metadata),
+        { provider: job.source, fileId: metadata.fileId || fileKey }
+    ].filter(location => location.provider !== target.provider || location.fileId !== target.fileId);
+    const migratedFrom = locations.slice(-MAX_MIGRATED_LOCATIONS);
+    const dropped = locations.slice(0, locations.length - migratedFrom.length);
+
+    const updated = {
+        ...metadata,
+        provider: target.provider,
+        fileId: target.fileId,
+        migratedFrom,
+        migratedAt: Date.now()
+    };
+    await env.img_url.put(`file:${fileKey}`, record.value || '', { metadata: updated });
+    await releaseDroppedLocations(env, storageManager, fileKey, metadata, dropped);
+    const bytes = Number(metadata.fileSize) || 0;
+    await moveUsage(env, {
+        userId: metadata.userId,
+        from: job.source,
+        to: target.provider,
+        bytes,
+        providerBytes: shared ? 0 : bytes
+    });
+
+    // 同步更新用户文件条目中的提供商，访问地址统一使用 /file/:id
+    if (metadata.userId && metadata.userId !== 'anonymous') {
+        const userFileKey = `user:${metadata.userId}:file:${fileKey}`;
+        const entry = await env.img_url.get(userFileKey, { type: 'json' });
+        if (entry) {
+            await env.img_url.put(userFileKey, JSON.stringify({
+                ...entry,
+                provider: target.provider,
+                url: `/file/${fileKey}`
+            }));
+        }
+    }
+}
+
+/**
+ * 清理超出 migratedFrom 上限的最早原位置
+ * 删除失败时进入删除队列重试；去重共享的内容可能仍被其他记录使用，不主动删除，留给垃圾回收处理
+ */
+async function releaseDroppedLocations(env, storageManager, fileKey, metadata, locations) {
+    if (locations.length === 0 || metadata.hash) return;
+    for (const location of locations) {
+        await deleteStoredLocation(env, storageManager, fileKey, metadata, location);
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * 存储垃圾回收
+ * 对比各提供商的对象列表与 KV 中的 file:* 记录：
+ * - 孤立对象 (存储中存在但没有记录引用) 先隔离，超过宽限期后删除
+ * - 悬空记录 (记录存在但对象已丢失) 只写入报告，不自动处理
+ * 只扫描 GC_PROVIDERS 中显式开启的提供商，且只处理本应用生成的对象名，
+ * 存储桶中其他程序写入的对象不会被隔离或删除
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { getFileLocations } from './DeletionQueue.js';
+
+// 支持列出对象的提供商
+const LISTABLE_PROVIDERS = ['s3', 'minio', 'r2', 'supabase', 'azure', 'local'];
+const QUARANTINE_PREFIX = 'gc:quarantine:';
+const REPORT_KEY = 'gc:report:latest';
+const DEFAULT_GRACE_DAYS = 7;
+// 上传完成到写入 KV 记录之间对象暂时没有引用，跳过一小时内新建的对象
+const MIN_OBJECT_AGE = 60 * 60 * 1000;
+const MAX_REPORT_ENTRIES = 200;
+// 本应用生成的对象名 (StorageProvider.generateFileId: 时间戳_随机串.扩展名)
+const APP_OBJECT_KEY = /^\d+_[0-9a-z]+\.[^/]+$/;
+
+/**
+ * GC_PROVIDERS 中开启垃圾回收的提供商，未设置时不扫描任何提供商
+ */
+export function getGcProviders(env) {
+    return String(env.GC_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(name => LISTABLE_PROVIDERS.includes(name));
+}
+
+/**
+ * 执行一次垃圾回收
+ * dryRun 为 true 时只生成报告，不写入隔离记录也不删除对象
+ */
+export async function runGarbageCollection(env, { dryRun = false, providers = [] } = {}) {
+    const storageManager = new StorageManager(env);
+    const configuredGrace = parseFloat(env.GC_GRACE_DAYS);
+    const graceDays = Number.isFinite(configuredGrace) && configuredGrace >= 0 ? configuredGrace : DEFAULT_GRACE_DAYS;
+    const now = Date.now();
+
+    const enabled = getGcProviders(env);
+    const targets = (providers.length > 0 ? providers : enabled)
+        .filter(name => enabled.includes(name) && storageManager.isProviderAvailable(name));
+
+    const { references, records } = await collectReferences(env);
+    const quarantine = await loadQuarantine(env);
+
+    const report = {
+        dryRun,
+        graceDays,
+        startedAt: now,
+        finishedAt: null,
+        records: records.length,
+        providers: {},
+        orphans: [],
+        dangling: []
+    };
+
+    for (const name of targets) {
+        const stats = { scanned: 0, skipped: 0, orphans: 0, quarantined: 0, purged: 0, released: 0, dangling: 0, errors: 0 };
+        report.providers[name] = stats;
+        const existing = new Set();
+
+        try {
+            for await (const object of listAllObjects(storageManager.getProvider(name), name)) {
+                existing.add(object.key);
+                stats.scanned++;
+
+                // 不是本应用生成的对象，不做处理
+                if (!APP_OBJECT_KEY.test(object.key)) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                const id = `${name}:${object.key}`;
+                if (references.has(id)) continue;
+                if (object.uploaded && now - new Date(object.uploaded).getTime() < MIN_OBJECT_AGE) continue;
+
+                stats.orphans++;
+                const entry = quarantine.get(id);
+
+                if (!entry) {
+                    stats.quarantined++;
+                    addEntry(report.orphans, { provider: name, key: object.key, size: object.size, action: 'quarantine' });
+                    if (!dryRun) {
+                        await env.img_url.put(`${QUARANTINE_PREFIX}${id}`, JSON.stringify({
+                            provider: name,
+                            key: object.key,
+                            size: object.size,
+                            firstSeen: now,
+                            purgeAfter: now + graceDays * 24 * 60 * 60 * 1000
+                        }));
+                    }
+                } else if (entry.purgeAfter <= now) {
+                    addEntry(report.orphans, { provider: name, key: object.key, size: object.size, action: 'purge' });
+                    if (!dryRun) {
+                        const result = await storageManager.deleteFile(object.key, name);
+                        if (result && result.success) {
+                            await env.img_url.delete(`${QUARANTINE_PREFIX}${id}`);
+                            stats.purged++;
+                        } else {
+                            console.error(`清理孤立对象 ${id} 失败:`, result?.message);
+                            stats.errors++;
+                        }
+                    } else {
+                        stats.purged++;
+                    }
+                } else {
+                    addEntry(report.orphans, { provider: name, key: object.key, size: object.size, action: 'pending', purgeAfter: entry.purgeAfter });
+                }
+            }
+        } catch (error) {
+            console.error(`列出 ${name} 对象失败:`, error);
+            stats.error = error.message;
+            continue;
+        }
+
+        // 已重新被引用或已不存在的对象解除隔离
+        for (const [id, entry] of quarantine) {
+            if (entry.provider !== name) continue;
+            if (references.has(id) || !existing.has(entry.key) || !APP_OBJECT_KEY.test(entry.key)) {
+                stats.released++;
+                if (!dryRun) {
+                    await env.img_url.delete(`${QUARANTINE_PREFIX}${id}`);
+                }
+            }
+        }
+
+        for (const record of records) {
+            for (const location of record.locations) {
+                if (location.provider === name && !existing.has(location.fileId)) {
+                    stats.dangling++;
+                    addEntry(report.dangling, { fileKey: record.fileKey, provider: name, fileId: location.fileId });
+                }
+            }
+        }
+    }
+
+    report.finishedAt = Date.now();
+    if (!dryRun) {
+        await env.img_url.put(REPORT_KEY, JSON.stringify(report));
+    }
+    return report;
+}
+
+/**
+ * 读取最近一次 (非试运行) 的垃圾回收报告
+ */
+export async function getLatestReport(env) {
+    return await env.img_url.get(REPORT_KEY, { type: 'json' });
+}
+
+/**
+ * 收集 file:* 记录引用的所有存储位置
+ */
+async function collectReferences(env) {
+    const references = new Set();
+    const records = [];
+    let cursor;
+
+    do {
+        const page = await env.img_url.list({ prefix: 'file:', ...(cursor ? { cursor } : {}) });
+        for (const key of page.keys) {
+            if (!key.metadata) continue;
+            const fileKey = key.name.substring('file:'.length);
+            const locations = getFileLocations(fileKey, key.metadata);
+            records.push({ fileKey, locations });
+            for (const location of locations) {
+                references.add(`${location.provider}:${location.fileId}`);
+            }
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return { references, records };
+}
+
+async function loadQuarantine(env) {
+    const quarantine = new Map();
+    let cursor;
+
+    do {
+        const page = await env.img_url.list({ prefix: QUARANTINE_PREFIX, ...(cursor ? { cursor } : {}) });
+        for (const key of page.keys) {
+            const entry = await env.img_url.get(key.name, { type: 'json' });
+            if (entry) {
+                quarantine.set(key.name.substring(QUARANTINE_PREFIX.length), entry);
+            }
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return quarantine;
+}
+
+/**
+ * 遍历提供商中的全部对象
+ * S3 / MinIO / R2 / Azure / 本地存储使用游标分页，Supabase 使用偏移分页且需要逐级展开文件夹
+ */
+async function* listAllObjects(provider, name) {
+    if (name === 'supabase') {
+        yield* listSupabaseObjects(provider, '');
+        return;
+    }
+
+    let cursor;
+    do {
+        const page = await provider.listFiles('', 1000, cursor);
+        yield* page.files;
+        cursor = page.truncated ? page.cursor : null;
+    } while (cursor);
+}
+
+async function* listSupabaseObjects(provider, prefix) {
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+        const items = await provider.listFiles(prefix, pageSize, offset);
+        for (const item of items) {
+            const key = prefix ? `${prefix}/${item.name}` : item.name;
+            if (item.id === null) {
+                // 文件夹没有 id
+                yield* listSupabaseObjects(provider, key);
+            } else if (item.name !== '.emptyFolderPlaceholder') {
+                yield {
+                    key,
+                    size: item.metadata?.size || 0,
+                    uploaded: item.created_at ? new Date(item.created_at) : null
+                };
+            }
+        }
+        if (items.length < pageSize) break;
+    }
+}
+
+function addEntry(list, entry) {
+    if (list.length < MAX_REPORT_ENTRIES) {
+        list.push(entry);
+    }
+}
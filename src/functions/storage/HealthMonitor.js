@@ -0,0 +1,192 @@
+/**
+ * 存储健康监控
+ * 定时任务记录各提供商的健康检查结果和耗时，保存为滚动历史；
+ * 提供商在正常与异常之间切换时通过 Webhook 或 Telegram 消息发送告警
+ */
+
+import { StorageManager } from './StorageManager.js';
+
+const HISTORY_KEY = 'health:history';
+const DEFAULT_HISTORY_SIZE = 288;
+const DEFAULT_INTERVAL_MINUTES = 10;
+// Cron 触发时间有少量抖动，避免刚好差几秒而跳过一次检查
+const SCHEDULE_SLACK_MS = 30 * 1000;
+
+export function isHealthy(result) {
+    return result?.status === 'healthy' || result?.status === 'ok';
+}
+
+/**
+ * 是否需要执行定时健康检查
+ * HEALTH_CHECK_ENABLED=false 时关闭，两次检查至少间隔 HEALTH_CHECK_INTERVAL_MINUTES
+ */
+export async function isHealthCheckDue(env) {
+    if (String(env.HEALTH_CHECK_ENABLED || 'true').toLowerCase() === 'false' || !env.img_url) {
+        return false;
+    }
+
+    const intervalMinutes = parseFloat(env.HEALTH_CHECK_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    const history = await loadHistory(env);
+    const last = history[history.length - 1];
+    return !last || Date.now() - last.at >= intervalMinutes * 60 * 1000 - SCHEDULE_SLACK_MS;
+}
+
+/**
+ * 执行一次健康检查并写入历史，状态发生变化的提供商会触发告警
+ * 返回本次的记录和告警列表
+ */
+export async function recordHealthCheck(env) {
+    const storageManager = new StorageManager(env);
+    const results = await storageManager.healthCheck();
+    const history = await loadHistory(env);
+    const previous = history[history.length - 1];
+
+    const sample = { at: Date.now(), providers: {} };
+    for (const [name, result] of Object.entries(results)) {
+        sample.providers[name] = {
+            status: result?.status || 'unknown',
+            healthy: isHealthy(result),
+            latency: typeof result?.latency === 'number' ? result.latency : null,
+            ...(result?.message && !isHealthy(result) ? { message: String(result.message).slice(0, 200) } : {})
+        };
+    }
+
+    // 只在状态切换时告警，首次检查和新增的提供商没有可比较的状态
+    const alerts = [];
+    for (const [name, current] of Object.entries(sample.providers)) {
+        const before = previous?.providers?.[name];
+        if (before && before.healthy !== current.healthy) {
+            alerts.push({ provider: name, ...current, previousStatus: before.status, at: sample.at });
+        }
+    }
+
+    history.push(sample);
+    const maxSize = parseInt(env.HEALTH_HISTORY_SIZE, 10) || DEFAULT_HISTORY_SIZE;
+    await env.img_url.put(HISTORY_KEY, JSON.stringify(history.slice(-maxSize)));
+
+    if (alerts.length > 0) {
+        await sendHealthAlerts(env, alerts);
+    }
+    return { sample, alerts };
+}
+
+/**
+ * 读取健康检查历史，按时间从旧到新排列
+ * provider 只返回指定提供商，limit 只返回最近的若干条
+ */
+export async function getHealthHistory(env, { provider, limit } = {}) {
+    let samples = await loadHistory(env);
+    if (limit > 0) {
+        samples = samples.slice(-limit);
+    }
+    if (provider) {
+        samples = samples
+            .filter(sample => sample.providers[provider])
+            .map(sample => ({ at: sample.at, providers: { [provider]: sample.providers[provider] } }));
+    }
+
+    return { samples, summary: summarizeHistory(samples) };
+}
+
+/**
+ * 按提供商汇总可用率、平均耗时和最近一次状态变化
+ */
+function summarizeHistory(samples) {
+    const summary = {};
+    for (const sample of samples) {
+        for (const [name, entry] of Object.entries(sample.providers)) {
+            const item = summary[name] || (summary[name] = {
+                checks: 0,
+                healthyChecks: 0,
+                latencyTotal: 0,
+                latencyChecks: 0,
+                current: null,
+                lastCheckedAt: null,
+                lastChangeAt: null
+            });
+
+            item.checks++;
+            if (entry.healthy) item.healthyChecks++;
+            if (typeof entry.latency === 'number') {
+                item.latencyTotal += entry.latency;
+                item.latencyChecks++;
+            }
+            if (item.current && item.current.healthy !== entry.healthy) {
+                item.lastChangeAt = sample.at;
+            }
+            item.current = entry;
+            item.lastCheckedAt = sample.at;
+        }
+    }
+
+    const result = {};
+    for (const [name, item] of Object.entries(summary)) {
+        result[name] = {
+            status: item.current.status,
+            healthy: item.current.healthy,
+            lastCheckedAt: item.lastCheckedAt,
+            lastChangeAt: item.lastChangeAt,
+            checks: item.checks,
+            uptime: Math.round((item.healthyChecks / item.checks) * 10000) / 100,
+            averageLatency: item.latencyChecks > 0 ? Math.round(item.latencyTotal / item.latencyChecks) : null
+        };
+    }
+    return result;
+}
+
+async function loadHistory(env) {
+    const history = await env.img_url.get(HISTORY_KEY, { type: 'json' });
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * 发送状态变化告警
+ * ALERT_WEBHOOK_URL: 以 JSON POST { text, alerts }，text 兼容 Slack 等常见的 Webhook 格式
+ * ALERT_TELEGRAM_CHAT_ID: 通过 ALERT_TELEGRAM_BOT_TOKEN (默认使用 TG_Bot_Token) 发送消息
+ * 告警发送失败只记录日志
+ */
+async function sendHealthAlerts(env, alerts) {
+    const text = alerts.map(formatAlert).join('\n');
+    console.warn('存储健康状态变化:', text);
+
+    if (env.ALERT_WEBHOOK_URL) {
+        try {
+            const response = await fetch(env.ALERT_WEBHOOK_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text, alerts })
+            });
+            if (!response.ok) {
+                console.error(`健康告警 Webhook 返回 ${response.status}`);
+            }
+        } catch (error) {
+            console.error('发送健康告警 Webhook 失败:', error);
+        }
+    }
+
+    const botToken = env.ALERT_TELEGRAM_BOT_TOKEN || env.TG_Bot_Token;
+    if (env.ALERT_TELEGRAM_CHAT_ID && botToken) {
+        try {
+            const response = await fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chat_id: env.ALERT_TELEGRAM_CHAT_ID, text })
+            });
+            if (!response.ok) {
+                console.error(`健康告警 Telegram 消息发送失败: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('发送健康告警 Telegram 消息失败:', error);
+        }
+    }
+}
+
+function formatAlert(alert) {
+    const time = new Date(alert.at).toISOString();
+    if (alert.healthy) {
+        const latency = alert.latency !== null ? `，耗时 ${alert.latency}ms` : '';
+        return `✅ 存储提供商 ${alert.provider} 已恢复 (${alert.status}${latency}) ${time}`;
+    }
+    const reason = alert.message ? `: ${alert.message}` : '';
+    return `⚠️ 存储提供商 ${alert.provider} 状态异常 (${alert.status}${reason}) ${time}`;
+}
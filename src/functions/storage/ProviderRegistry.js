@@ -0,0 +1,69 @@
+/**
+ * 存储提供商注册表
+ * 每个提供商声明名称、所需的环境变量、支持的能力和创建实例的工厂函数，
+ * StorageManager 按注册顺序创建已配置的提供商，新增后端无需修改 StorageManager
+ */
+
+// 能力标识：delete 删除文件、signedUrls 预签名地址、rangeReads 范围读取、
+// listing 列出对象、multipart 大文件分片上传、directUpload 浏览器直传
+export const CAPABILITIES = ['delete', 'signedUrls', 'rangeReads', 'listing', 'multipart', 'directUpload'];
+
+const registry = new Map();
+
+/**
+ * 注册存储提供商
+ * @param {object} definition
+ *   name: 提供商名称 (上传时的 provider 参数)
+ *   displayName: 显示名称
+ *   requiredEnv: 启用所需的环境变量或绑定，全部存在时视为已配置
+ *   isConfigured: 可选，自定义是否已配置的判断，提供时忽略 requiredEnv
+ *   capabilities: 支持的能力，未声明的能力视为不支持
+ *   create: (env) => 提供商实例
+ */
+export function registerStorageProvider(definition) {
+    const name = String(definition?.name || '').trim().toLowerCase();
+    if (!name) {
+        throw new Error('注册存储提供商时必须提供 name');
+    }
+    if (typeof definition.create !== 'function') {
+        throw new Error(`存储提供商 '${name}' 缺少 create 工厂函数`);
+    }
+
+    const capabilities = {};
+    for (const capability of CAPABILITIES) {
+        capabilities[capability] = Boolean(definition.capabilities?.[capability]);
+    }
+
+    registry.set(name, {
+        name,
+        displayName: definition.displayName || name,
+        requiredEnv: definition.requiredEnv || [],
+        isConfigured: definition.isConfigured || null,
+        capabilities,
+        create: definition.create
+    });
+}
+
+/**
+ * 获取提供商定义，未注册时返回 null
+ */
+export function getProviderDefinition(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * 按注册顺序获取所有提供商定义
+ */
+export function getRegisteredProviders() {
+    return Array.from(registry.values());
+}
+
+/**
+ * 检查提供商在当前环境中是否已配置
+ */
+export function isProviderConfigured(definition, env) {
+    if (definition.isConfigured) {
+        return Boolean(definition.isConfigured(env));
+    }
+    return definition.requiredEnv.every(key => Boolean(env[key]));
+}
@@ -0,0 +1,179 @@
+/**
+ * AWS Signature Version 4 签名工具
+ * S3 及所有 S3 兼容存储 (MinIO, Garage, SeaweedFS, Ceph RGW 等) 共用
+ */
+
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+export class SigV4Signer {
+    constructor({ accessKeyId, secretAccessKey, sessionToken = null, region = 'us-east-1', service = 's3' }) {
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.sessionToken = sessionToken;
+        this.region = region;
+        this.service = service;
+    }
+
+    /**
+     * 为请求签名，返回需要随请求发送的请求头 (含 Authorization)
+     * Host 只参与签名，由 fetch 根据 URL 自动设置
+     */
+    async signRequest(method, url, headers = {}, payloadHash = UNSIGNED_PAYLOAD) {
+        const requestUrl = new URL(url);
+        const { amzDate, dateStamp } = this.getTimestamps();
+
+        const signedHeaders = {
+            ...headers,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': payloadHash
+        };
+        if (this.sessionToken) {
+            signedHeaders['x-amz-security-token'] = this.sessionToken;
+        }
+
+        const { canonicalHeaders, signedHeaderNames } = this.canonicalizeHeaders({ ...signedHeaders, host: requestUrl.host });
+        const canonicalRequest = [
+            method,
+            requestUrl.pathname || '/',
+            this.canonicalizeQuery(requestUrl.searchParams),
+            canonicalHeaders,
+            signedHeaderNames,
+            payloadHash
+        ].join('\n');
+
+        const credentialScope = this.getCredentialScope(dateStamp);
+        const signature = await this.calculateSignature(canonicalRequest, amzDate, dateStamp);
+
+        return {
+            ...signedHeaders,
+            'Authorization': `${ALGORITHM} Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+        };
+    }
+
+    /**
+     * 生成查询字符串签名的预签名URL (用于 GET 下载或 PUT 直传)
+     * headers 中的请求头会参与签名，客户端使用该URL时必须发送相同的请求头
+     */
+    async presignUrl(method, url, { expiresIn = 3600, headers = {} } = {}) {
+        const requestUrl = new URL(url);
+        const { amzDate, dateStamp } = this.getTimestamps();
+        const credentialScope = this.getCredentialScope(dateStamp);
+
+        const { canonicalHeaders, signedHeaderNames } = this.canonicalizeHeaders({ ...headers, host: requestUrl.host });
+
+        requestUrl.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+        requestUrl.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${credentialScope}`);
+        requestUrl.searchParams.set('X-Amz-Date', amzDate);
+        requestUrl.searchParams.set('X-Amz-Expires', String(Math.min(Math.max(1, Math.floor(expiresIn)), 604800)));
+        requestUrl.searchParams.set('X-Amz-SignedHeaders', signedHeaderNames);
+        if (this.sessionToken) {
+            requestUrl.searchParams.set('X-Amz-Security-Token', this.sessionToken);
+        }
+
+        const canonicalQuery = this.canonicalizeQuery(requestUrl.searchParams);
+        const canonicalRequest = [
+            method,
+            requestUrl.pathname || '/',
+            canonicalQuery,
+            canonicalHeaders,
+            signedHeaderNames,
+            UNSIGNED_PAYLOAD
+        ].join('\n');
+
+        const signature = await this.calculateSignature(canonicalRequest, amzDate, dateStamp);
+
+        return `${requestUrl.origin}${requestUrl.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+
+    async calculateSignature(canonicalRequest, amzDate, dateStamp) {
+        const stringToSign = [
+            ALGORITHM,
+            amzDate,
+            this.getCredentialScope(dateStamp),
+            await sha256Hex(canonicalRequest)
+        ].join('\n');
+
+        const signingKey = await this.getSigningKey(dateStamp);
+        return toHex(await hmacSha256(signingKey, stringToSign));
+    }
+
+    async getSigningKey(dateStamp) {
+        const kDate = await hmacSha256(`AWS4${this.secretAccessKey}`, dateStamp);
+        const kRegion = await hmacSha256(kDate, this.region);
+        const kService = await hmacSha256(kRegion, this.service);
+        return await hmacSha256(kService, 'aws4_request');
+    }
+
+    getCredentialScope(dateStamp) {
+        return `${dateStamp}/${this.region}/${this.service}/aws4_request`;
+    }
+
+    getTimestamps() {
+        const amzDate = new Date().toISOString().replace(/[:\-]|\.\d{3}/g, '');
+        return { amzDate, dateStamp: amzDate.substring(0, 8) };
+    }
+
+    canonicalizeHeaders(headers) {
+        const normalized = {};
+        for (const [name, value] of Object.entries(headers)) {
+            normalized[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+        }
+
+        const names = Object.keys(normalized).sort();
+        return {
+            canonicalHeaders: names.map(name => `${name}:${normalized[name]}\n`).join(''),
+            signedHeaderNames: names.join(';')
+        };
+    }
+
+    canonicalizeQuery(searchParams) {
+        return Array.from(searchParams.entries())
+            .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+            .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+    }
+}
+
+/**
+ * 按 RFC 3986 编码 (SigV4 要求比 encodeURIComponent 更严格)
+ */
+export function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * 编码对象键，保留路径分隔符
+ */
+export function encodeKey(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+export async function sha256Hex(data) {
+    const dataBuffer = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const hashBuffer = await crypto.subtle.digest('SHA-256', dataBuffer);
+    return toHex(new Uint8Array(hashBuffer));
+}
+
+async function hmacSha256(key, data) {
+    const encoder = new TextEncoder();
+    const keyData = typeof key === 'string' ? encoder.encode(key) : key;
+    const dataBuffer = typeof data === 'string' ? encoder.encode(data) : data;
+
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        keyData,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, dataBuffer);
+    return new Uint8Array(signature);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
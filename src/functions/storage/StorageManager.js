@@ -1,43 +1,87 @@
 /**
  * Storage Manager - 存储抽象层
- * 支持多种存储后端：Telegram, S3, MinIO, Supabase
+ * 支持多种存储后端：Telegram, S3, MinIO, Supabase, R2, WebDAV, Local
  */
 
-import { TelegramStorage } from './providers/TelegramStorage.js';
-import { S3Storage } from './providers/S3Storage.js';
-import { MinIOStorage } from './providers/MinIOStorage.js';
-import { SupabaseStorage } from './providers/SupabaseStorage.js';
+import './providers/index.js';
+import { StorageProvider, isValidKeyPrefix } from './StorageProvider.js';
+import { getRegisteredProviders, getProviderDefinition, isProviderConfigured, registerStorageProvider } from './ProviderRegistry.js';
+import { isDeduplicationEnabled } from './Deduplication.js';
+
+// 基类单独放在 StorageProvider.js 中，避免与各提供商之间的循环引用
+export { StorageProvider, registerStorageProvider };
+
+// 上传失败后提供商被标记为降级的默认时长 (秒)
+const DEFAULT_DEGRADED_COOLDOWN = 300;
 
 export class StorageManager {
     constructor(env) {
         this.env = env;
         this.providers = new Map();
+        // 运行时注册的提供商的附加信息，如用户自有存储的所属用户
+        this.scopes = new Map();
         this.initializeProviders();
     }
 
     /**
-     * 初始化所有存储提供商
+     * 按注册表初始化所有已配置的存储提供商
+     * 内置提供商在 providers/index.js 中注册，新增后端调用 registerStorageProvider 即可
      */
     initializeProviders() {
-        // Telegram 存储
-        if (this.env.TG_Bot_Token && this.env.TG_Chat_ID) {
-            this.providers.set('telegram', new TelegramStorage(this.env));
+        for (const definition of getRegisteredProviders()) {
+            if (isProviderConfigured(definition, this.env)) {
+                this.providers.set(definition.name, definition.create(this.env));
+            }
         }
+    }
 
-        // AWS S3 存储
-        if (this.env.AWS_ACCESS_KEY_ID && this.env.AWS_SECRET_ACCESS_KEY && this.env.AWS_S3_BUCKET) {
-            this.providers.set('s3', new S3Storage(this.env));
-        }
+    /**
+     * 注册额外的存储提供商 (如用户自有存储)
+     * owner: 所属用户，这类提供商不参与故障转移和副本复制，降级状态按用户区分
+     * privateReads: 存储桶不可公开访问，读取时使用预签名地址
+     * type: 实际使用的提供商类型，用于查询能力
+     * configId: 用户存储配置的 id，上传结果中以 storageConfigId 返回并保存到文件记录
+     */
+    registerProvider(name, provider, { owner = null, privateReads = false, type = name, configId = null } = {}) {
+        this.providers.set(name, provider);
+        this.scopes.set(name, { owner, privateReads, type, configId });
+    }
 
-        // MinIO 存储
-        if (this.env.MINIO_ENDPOINT && this.env.MINIO_ACCESS_KEY && this.env.MINIO_SECRET_KEY && this.env.MINIO_BUCKET) {
-            this.providers.set('minio', new MinIOStorage(this.env));
-        }
+    /**
+     * 获取提供商支持的能力，未注册的提供商返回 null
+     */
+    getProviderCapabilities(providerName) {
+        const type = this.scopes.get(providerName)?.type || providerName;
+        const definition = getProviderDefinition(type);
+        return definition ? { ...definition.capabilities } : null;
+    }
 
-        // Supabase 存储
-        if (this.env.SUPABASE_URL && this.env.SUPABASE_ANON_KEY && this.env.SUPABASE_BUCKET) {
-            this.providers.set('supabase', new SupabaseStorage(this.env));
-        }
+    /**
+     * 获取已配置提供商的名称、显示名称和能力
+     */
+    describeProviders() {
+        return this.getAvailableProviders().map(name => {
+            const type = this.scopes.get(name)?.type || name;
+            return {
+                name,
+                displayName: getProviderDefinition(type)?.displayName || name,
+                capabilities: this.getProviderCapabilities(name)
+            };
+        });
+    }
+
+    /**
+     * 获取提供商所属的用户，全局提供商返回 null
+     */
+    getProviderOwner(providerName) {
+        return this.scopes.get(providerName)?.owner || null;
+    }
+
+    /**
+     * 获取运行时注册的提供商所使用的用户存储配置 id，全局提供商返回 null
+     */
+    getProviderConfigId(providerName) {
+        return this.scopes.get(providerName)?.configId || null;
     }
 
     /**
@@ -73,30 +117,212 @@ export class StorageManager {
         return this.providers.has(providerName);
     }
 
+    /**
+     * 上传到指定提供商时使用的选项
+     * 私有存储桶中的对象不设置公开读取 ACL，无论调用方是否要求公开
+     */
+    getUploadOptions(providerName, options = {}) {
+        return this.scopes.get(providerName)?.privateReads ? { ...options, public: false } : options;
+    }
+
+    /**
+     * 检查存储提供商是否支持浏览器直传 (预签名上传URL)
+     * 完成上传时需要通过 headObject 核实对象的实际大小，无法核实的提供商不提供直传；
+     * 直传的文件不经过 Worker，无法去重和写入副本，开启去重或该提供商配置了副本时不提供直传。
+     * 用户自有存储的地址不在 CSP_CONNECT_SRC 中，浏览器无法直接上传，同样不提供直传
+     */
+    supportsDirectUpload(providerName) {
+        const provider = this.providers.get(providerName);
+        if (!provider || typeof provider.createDirectUpload !== 'function' || typeof provider.headObject !== 'function') {
+            return false;
+        }
+        if (this.getProviderOwner(providerName) || isDeduplicationEnabled(this.env)) {
+            return false;
+        }
+        return this.getReplicaProviders(providerName).length === 0;
+    }
+
+    /**
+     * 获取上传时的提供商尝试顺序
+     * 先是指定的提供商，然后是 STORAGE_FALLBACK 中配置的备用提供商
+     */
+    getFallbackChain(providerName) {
+        // 用户自有存储的文件不应改写到共享存储中
+        if (this.getProviderOwner(providerName)) {
+            return [providerName];
+        }
+
+        const fallback = (this.env.STORAGE_FALLBACK || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean);
+
+        return [...new Set([providerName, ...fallback])];
+    }
+
     /**
      * 上传文件到指定存储提供商
+     * 失败时按 STORAGE_FALLBACK 依次尝试备用提供商，处于降级冷却期的提供商会被跳过
      */
     async uploadFile(file, options = {}) {
         const providerName = options.provider || this.env.DEFAULT_STORAGE_PROVIDER || 'telegram';
-        const provider = this.getProvider(providerName);
-        
-        console.log(`使用存储提供商: ${providerName}`);
-        
+        // 指定的提供商不存在时直接报错，不静默改用其他提供商
+        this.getProvider(providerName);
+        // 无效的前缀在任何提供商上都会失败，不应标记提供商降级
+        if (options.prefix && !isValidKeyPrefix(options.prefix)) {
+            throw new Error(`对象键前缀 '${options.prefix}' 无效，只能包含字母、数字、"_" 和 "-"`);
+        }
+
+        const chain = this.getFallbackChain(providerName).filter(name => this.providers.has(name));
+        const degraded = await this.getDegradedProviders(chain);
+        const healthy = chain.filter(name => !degraded[name]);
+        // 全部处于降级状态时仍按原顺序尝试，避免直接拒绝上传
+        const candidates = healthy.length > 0 ? healthy : chain;
+
+        const failures = [];
+        for (const name of candidates) {
+            console.log(`使用存储提供商: ${name}`);
+
+            try {
+                const result = await this.getProvider(name).uploadFile(file, this.getUploadOptions(name, options));
+
+                if (degraded[name]) {
+                    await this.clearDegraded(name);
+                }
+
+                const { replicas, replicaErrors } = await this.replicateFile(file, name, options);
+
+                // 添加提供商信息到结果中，私有存储桶的地址无法直接访问，改为通过 /file/:id 读取
+                return {
+                    ...result,
+                    ...(this.scopes.get(name)?.privateReads ? { url: `/file/${result.fileId}` } : {}),
+                    ...(this.getProviderConfigId(name) ? { storageConfigId: this.getProviderConfigId(name) } : {}),
+                    provider: name,
+                    replicas,
+                    ...(replicaErrors.length > 0 ? { replicaErrors } : {}),
+                    requestedProvider: providerName,
+                    fallback: name !== providerName,
+                    ...(failures.length > 0 ? { failures } : {}),
+                    timestamp: Date.now()
+                };
+            } catch (error) {
+                console.error(`存储提供商 ${name} 上传失败:`, error);
+                failures.push({ provider: name, error: error.message });
+                await this.markDegraded(name, error);
+            }
+        }
+
+        if (failures.length === 1) {
+            throw new Error(`上传到 ${providerName} 失败: ${failures[0].error}`);
+        }
+        const summary = failures.map(f => `${f.provider}: ${f.error}`).join('; ');
+        throw new Error(`所有存储提供商上传均失败 (${summary})`);
+    }
+
+    /**
+     * 获取副本提供商列表 (STORAGE_REPLICAS)，不包含已保存主副本的提供商
+     */
+    getReplicaProviders(primaryName) {
+        if (this.getProviderOwner(primaryName)) {
+            return [];
+        }
+
+        return [...new Set((this.env.STORAGE_REPLICAS || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name && name !== primaryName))];
+    }
+
+    /**
+     * 将文件写入副本提供商
+     * 副本写入失败不影响主上传，只记录在 replicaErrors 中
+     */
+    async replicateFile(file, primaryName, options = {}) {
+        const replicas = [];
+        const replicaErrors = [];
+
+        for (const name of this.getReplicaProviders(primaryName)) {
+            if (!this.providers.has(name)) {
+                replicaErrors.push({ provider: name, error: '存储提供商未配置' });
+                continue;
+            }
+
+            try {
+                // 主存储返回的 fileId 可能不是对象键 (如 Telegram 的 file_id)，副本由目标提供商按原文件名生成对象键
+                const provider = this.getProvider(name);
+                const fileName = options.fileName || provider.generateFileId(file.name);
+                const result = await provider.uploadFile(file, this.getUploadOptions(name, { ...options, fileName }));
+                replicas.push({ provider: name, fileId: result.fileId });
+                console.log(`文件已复制到 ${name}: ${result.fileId}`);
+            } catch (error) {
+                console.error(`复制文件到 ${name} 失败:`, error);
+                replicaErrors.push({ provider: name, error: error.message });
+            }
+        }
+
+        return { replicas, replicaErrors };
+    }
+
+    /**
+     * 降级状态的 KV 键
+     */
+    degradedKey(providerName) {
+        const owner = this.getProviderOwner(providerName);
+        return owner ? `provider:degraded:${providerName}:${owner}` : `provider:degraded:${providerName}`;
+    }
+
+    /**
+     * 读取提供商的降级状态，返回 { 名称: 降级信息 }
+     */
+    async getDegradedProviders(names = this.getAvailableProviders()) {
+        const degraded = {};
+        if (!this.env.img_url) return degraded;
+
+        for (const name of names) {
+            try {
+                const info = await this.env.img_url.get(this.degradedKey(name), { type: 'json' });
+                if (info && info.until > Date.now()) {
+                    degraded[name] = info;
+                }
+            } catch (error) {
+                console.error(`读取 ${name} 降级状态失败:`, error);
+            }
+        }
+        return degraded;
+    }
+
+    /**
+     * 上传失败后将提供商标记为降级，冷却期内不再优先使用
+     */
+    async markDegraded(providerName, error) {
+        if (!this.env.img_url) return;
+
+        const cooldown = parseInt(this.env.STORAGE_DEGRADED_COOLDOWN, 10) || DEFAULT_DEGRADED_COOLDOWN;
+        const info = {
+            provider: providerName,
+            error: error?.message || String(error),
+            since: Date.now(),
+            until: Date.now() + cooldown * 1000
+        };
+
         try {
-            const result = await provider.uploadFile(file, options);
-            
-            // 添加提供商信息到结果中
-            return {
-                ...result,
-                provider: providerName,
-                timestamp: Date.now()
-            };
-        } catch (error) {
-            console.error(`存储提供商 ${providerName} 上传失败:`, error);
-            throw new Error(`上传到 ${providerName} 失败: ${error.message}`);
+            // KV 的过期时间最短为 60 秒
+            await this.env.img_url.put(this.degradedKey(providerName), JSON.stringify(info), {
+                expirationTtl: Math.max(cooldown, 60)
+            });
+        } catch (kvError) {
+            console.error(`记录 ${providerName} 降级状态失败:`, kvError);
         }
     }
 
+    /**
+     * 清除降级状态
+     */
+    async clearDegraded(providerName) {
+        if (!this.env.img_url) return;
+        await this.env.img_url.delete(this.degradedKey(providerName));
+    }
+
     /**
      * 批量上传文件
      */
@@ -128,9 +354,13 @@ export class StorageManager {
 
     /**
      * 删除文件
+     * 返回 { success, message }，提供商不支持删除时 unsupported 为 true
      */
     async deleteFile(fileId, providerName) {
         const provider = this.getProvider(providerName);
+        if (provider.deleteFile === StorageProvider.prototype.deleteFile) {
+            return { success: false, unsupported: true, message: `${providerName} 不支持删除文件` };
+        }
         return await provider.deleteFile(fileId);
     }
 
@@ -142,6 +372,38 @@ export class StorageManager {
         return await provider.getFileUrl(fileId, options);
     }
 
+    /**
+     * 从指定存储提供商读取文件，返回 Response，读取失败返回 null
+     * 支持直接读取的提供商 (如 R2 绑定) 无需再次发起 HTTP 请求，其余提供商通过 getFileUrl 下载
+     * 支持签名地址的提供商始终使用签名地址读取，对象没有公开读取权限时也能访问
+     */
+    async getObject(providerName, fileId, options = {}) {
+        if (!this.providers.has(providerName)) {
+            return null;
+        }
+
+        const provider = this.getProvider(providerName);
+        if (typeof provider.getObject === 'function') {
+            console.log(`使用 ${providerName} 存储提供商直接读取文件: ${fileId}`);
+            return await provider.getObject(fileId, { range: options.range });
+        }
+
+        // 私有存储桶和私有对象使用预签名地址，日志中不输出签名
+        const signed = Boolean(this.scopes.get(providerName)?.privateReads || this.getProviderCapabilities(providerName)?.signedUrls);
+        const fileUrl = await provider.getFileUrl(fileId, signed ? { signed: true } : {});
+        console.log(`使用 ${providerName} 存储提供商获取文件URL: ${signed ? fileId : fileUrl}`);
+
+        const response = await fetch(fileUrl, {
+            method: options.method || 'GET',
+            headers: options.range ? { 'Range': options.range } : {}
+        });
+        if (!response.ok) {
+            console.error(`${providerName} 返回错误状态: ${response.status}`);
+            return null;
+        }
+        return response;
+    }
+
     /**
      * 获取存储提供商统计信息
      */
@@ -154,103 +416,33 @@ export class StorageManager {
     }
 
     /**
-     * 健康检查 - 检查所有存储提供商状态
+     * 健康检查 - 检查所有存储提供商状态，latency 为检查耗时 (毫秒)
      */
     async healthCheck() {
         const results = {};
         
         for (const [name, provider] of this.providers) {
+            const startedAt = Date.now();
             try {
                 if (typeof provider.healthCheck === 'function') {
-                    results[name] = await provider.healthCheck();
+                    results[name] = { ...await provider.healthCheck(), latency: Date.now() - startedAt };
                 } else {
                     results[name] = { status: 'unknown', message: '未实现健康检查' };
                 }
             } catch (error) {
                 results[name] = { 
                     status: 'error', 
-                    message: error.message 
+                    message: error.message,
+                    latency: Date.now() - startedAt
                 };
             }
         }
-        
-        return results;
-    }
-}
-
-/**
- * 存储提供商基类
- * 所有存储提供商都应该继承此类并实现相应方法
- */
-export class StorageProvider {
-    constructor(env) {
-        this.env = env;
-    }
 
-    /**
-     * 上传文件 - 必须实现
-     */
-    async uploadFile(file, options = {}) {
-        throw new Error('uploadFile 方法必须被实现');
-    }
-
-    /**
-     * 删除文件 - 可选实现
-     */
-    async deleteFile(fileId) {
-        throw new Error('deleteFile 方法未实现');
-    }
-
-    /**
-     * 获取文件URL - 必须实现
-     */
-    async getFileUrl(fileId, options = {}) {
-        throw new Error('getFileUrl 方法必须被实现');
-    }
-
-    /**
-     * 健康检查 - 可选实现
-     */
-    async healthCheck() {
-        return { status: 'ok', message: '健康检查通过' };
-    }
-
-    /**
-     * 获取统计信息 - 可选实现
-     */
-    async getStats() {
-        return null;
-    }
-
-    /**
-     * 生成唯一文件ID
-     */
-    generateFileId(originalName) {
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 8);
-        const extension = originalName.split('.').pop().toLowerCase();
-        return `${timestamp}_${random}.${extension}`;
-    }
-
-    /**
-     * 验证文件类型
-     */
-    validateFileType(file, allowedTypes = []) {
-        if (allowedTypes.length === 0) return true;
-        
-        const fileType = file.type.toLowerCase();
-        const fileExtension = file.name.split('.').pop().toLowerCase();
+        const degraded = await this.getDegradedProviders();
+        for (const [name, info] of Object.entries(degraded)) {
+            results[name] = { ...results[name], degraded: info };
+        }
         
-        return allowedTypes.some(type => 
-            fileType.includes(type) || fileExtension === type
-        );
-    }
-
-    /**
-     * 验证文件大小
-     */
-    validateFileSize(file, maxSize) {
-        if (!maxSize) return true;
-        return file.size <= maxSize;
+        return results;
     }
 }
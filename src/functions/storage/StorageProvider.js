@@ -0,0 +1,99 @@
+/**
+ * 存储提供商基类
+ * 所有存储提供商都应该继承此类并实现相应方法
+ */
+
+// 对象键前缀只能包含字母、数字、"_" 和 "-"
+const KEY_PREFIX_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * 检查上传选项中的对象键前缀是否合法
+ */
+export function isValidKeyPrefix(prefix) {
+    return KEY_PREFIX_PATTERN.test(String(prefix));
+}
+
+export class StorageProvider {
+    constructor(env) {
+        this.env = env;
+    }
+
+    /**
+     * 上传文件 - 必须实现
+     */
+    async uploadFile(file, options = {}) {
+        throw new Error('uploadFile 方法必须被实现');
+    }
+
+    /**
+     * 删除文件 - 可选实现
+     */
+    async deleteFile(fileId) {
+        throw new Error('deleteFile 方法未实现');
+    }
+
+    /**
+     * 获取文件URL - 必须实现
+     */
+    async getFileUrl(fileId, options = {}) {
+        throw new Error('getFileUrl 方法必须被实现');
+    }
+
+    /**
+     * 健康检查 - 可选实现
+     */
+    async healthCheck() {
+        return { status: 'ok', message: '健康检查通过' };
+    }
+
+    /**
+     * 获取统计信息 - 可选实现
+     */
+    async getStats() {
+        return null;
+    }
+
+    /**
+     * 生成唯一文件ID
+     */
+    generateFileId(originalName) {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substring(2, 8);
+        const extension = originalName.split('.').pop().toLowerCase();
+        return `${timestamp}_${random}.${extension}`;
+    }
+
+    /**
+     * 根据上传选项生成对象键
+     * 对象键会作为 /file/:id 的公开 id，不能包含 "/"，因此 prefix 以 "_" 连接，而不是作为目录
+     */
+    buildObjectKey(fileName, options = {}) {
+        if (!options.prefix) return fileName;
+        if (!isValidKeyPrefix(options.prefix)) {
+            throw new Error(`对象键前缀 '${options.prefix}' 无效，只能包含字母、数字、"_" 和 "-"`);
+        }
+        return `${options.prefix}_${fileName}`;
+    }
+
+    /**
+     * 验证文件类型
+     */
+    validateFileType(file, allowedTypes = []) {
+        if (allowedTypes.length === 0) return true;
+        
+        const fileType = file.type.toLowerCase();
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        
+        return allowedTypes.some(type => 
+            fileType.includes(type) || fileExtension === type
+        );
+    }
+
+    /**
+     * 验证文件大小
+     */
+    validateFileSize(file, maxSize) {
+        if (!maxSize) return true;
+        return file.size <= maxSize;
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * 分层存储
+ * 按规则在提供商之间移动文件，例如 "90 天未访问 → 从 s3 移到 telegram"；
+ * 移动复用存储迁移的单文件迁移逻辑，公开的 /file/:id 地址保持不变
+ *
+ * KV 键:
+ *   access:{fileKey}   fileHandler 记录的最近访问时间 { lastAccessedAt }
+ *   tiering:rules      规则列表
+ *   tiering:state      扫描游标、执行锁和最近一次运行的统计
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { migrateFile, getMigratedLocations } from './FileMigration.js';
+import { getHashEntry } from './Deduplication.js';
+import { deleteStoredLocation } from './DeletionQueue.js';
+import { USER_STORAGE_PROVIDER } from './UserStorage.js';
+
+const RULES_KEY = 'tiering:rules';
+const STATE_KEY = 'tiering:state';
+const ACCESS_PREFIX = 'access:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_INTERVAL_HOURS = 24;
+const DEFAULT_SCAN_SIZE = 100;
+const DEFAULT_MAX_MOVES = 10;
+// 单次运行的最长时间，超过后视为中断，允许重新获取执行锁
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const MAX_REPORT_ENTRIES = 50;
+
+export function isTieringEnabled(env) {
+    return String(env.TIERING_ENABLED || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * 是否记录文件访问时间：开启分层存储或 ACCESS_TRACKING=true 时记录
+ */
+export function isAccessTrackingEnabled(env) {
+    return isTieringEnabled(env) || String(env.ACCESS_TRACKING || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * 记录文件访问时间
+ * 同一文件在 ACCESS_TRACKING_INTERVAL_HOURS 内只写入一次，避免每次访问都写 KV
+ */
+export async function recordFileAccess(env, fileKey) {
+    if (!env.img_url || !isAccessTrackingEnabled(env)) return;
+
+    try {
+        const intervalHours = parseFloat(env.ACCESS_TRACKING_INTERVAL_HOURS) || DEFAULT_ACCESS_INTERVAL_HOURS;
+        const key = `${ACCESS_PREFIX}${fileKey}`;
+        const access = await env.img_url.get(key, { type: 'json' });
+        const now = Date.now();
+        if (access && now - access.lastAccessedAt < intervalHours * 60 * 60 * 1000) {
+            return;
+        }
+        await env.img_url.put(key, JSON.stringify({ lastAccessedAt: now }));
+    } catch (error) {
+        console.error(`记录文件 ${fileKey} 的访问时间失败:`, error);
+    }
+}
+
+export async function getLastAccess(env, fileKey) {
+    const access = await env.img_url.get(`${ACCESS_PREFIX}${fileKey}`, { type: 'json' });
+    return access ? access.lastAccessedAt : null;
+}
+
+/**
+ * 校验并整理一条规则，返回 { rule } 或 { error }
+ * 条件 (至少一项): notAccessedDays 超过 N 天未访问、accessedWithinDays N 天内有访问、minAgeDays 上传超过 N 天
+ */
+export function normalizeTieringRule(input = {}, existing = null) {
+    const source = String(input.source || '').trim().toLowerCase();
+    const target = String(input.target || '').trim().toLowerCase();
+    if (!source || !target) {
+        return { error: '规则缺少 source 或 target' };
+    }
+    if (source === target) {
+        return { error: `规则的源存储和目标存储不能相同: ${source}` };
+    }
+    if (source === USER_STORAGE_PROVIDER || target === USER_STORAGE_PROVIDER) {
+        return { error: '用户自有存储不参与分层存储' };
+    }
+
+    const rule = {
+        name: String(input.name || `${source}-to-${target}`).trim(),
+        source,
+        target,
+        enabled: input.enabled !== false,
+        createdAt: existing?.createdAt || Date.now()
+    };
+
+    for (const field of ['notAccessedDays', 'accessedWithinDays', 'minAgeDays']) {
+        if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+        const days = Number(input[field]);
+        if (!Number.isFinite(days) || days < 0) {
+            return { error: `${field} 必须是非负数` };
+        }
+        rule[field] = days;
+    }
+
+    if (rule.notAccessedDays === undefined && rule.accessedWithinDays === undefined && rule.minAgeDays === undefined) {
+        return { error: `规则 ${rule.name} 至少需要 notAccessedDays、accessedWithinDays 或 minAgeDays 中的一项` };
+    }
+    if (rule.notAccessedDays !== undefined && rule.accessedWithinDays !== undefined) {
+        return { error: `规则 ${rule.name} 不能同时设置 notAccessedDays 和 accessedWithinDays` };
+    }
+    return { rule };
+}
+
+export async function getTieringRules(env) {
+    return await env.img_url.get(RULES_KEY, { type: 'json' }) || [];
+}
+
+/**
+ * 保存规则列表，同名规则保留原来的 createdAt
+ */
+export async function saveTieringRules(env, inputs) {
+    if (!Array.isArray(inputs)) {
+        return { error: 'rules 必须是数组' };
+    }
+
+    const existing = await getTieringRules(env);
+    const rules = [];
+    for (const input of inputs) {
+        const { rule, error } = normalizeTieringRule(input, existing.find(item => item.name === input?.name));
+        if (error) return { error };
+        if (rules.some(item => item.name === rule.name)) {
+            return { error: `规则名称重复: ${rule.name}` };
+        }
+        rules.push(rule);
+    }
+
+    await env.img_url.put(RULES_KEY, JSON.stringify(rules));
+    return { rules };
+}
+
+export async function getTieringState(env) {
+    return await env.img_url.get(STATE_KEY, { type: 'json' }) || {
+        cursor: null,
+        lockedUntil: 0,
+        cycleStartedAt: null,
+        lastCycleCompletedAt: null,
+        lastRun: null
+    };
+}
+
+/**
+ * 文件是否满足规则条件
+ * 未访问的天数从最近访问、上传时间和规则创建时间中最晚的一个算起，
+ * 避免开启访问记录之前的文件被误判为长期未访问
+ */
+export function matchesRule(rule, metadata, lastAccessedAt, now = Date.now()) {
+    if ((metadata.provider || 'telegram') !== rule.source) return false;
+
+    const uploadedAt = metadata.TimeStamp || 0;
+    if (rule.minAgeDays !== undefined && now - uploadedAt < rule.minAgeDays * DAY_MS) {
+        return false;
+    }
+
+    if (rule.notAccessedDays !== undefined) {
+        const idleSince = Math.max(lastAccessedAt || 0, uploadedAt, rule.createdAt || 0);
+        if (now - idleSince < rule.notAccessedDays * DAY_MS) return false;
+    }
+
+    if (rule.accessedWithinDays !== undefined) {
+        if (!lastAccessedAt || now - lastAccessedAt > rule.accessedWithinDays * DAY_MS) return false;
+    }
+
+    return true;
+}
+
+/**
+ * 执行一轮分层扫描
+ * 每次处理 TIERING_SCAN_SIZE 条 file:* 记录，最多移动 TIERING_MAX_MOVES 个文件，游标保存在 tiering:state 中；
+ * 扫描到末尾后从头开始下一轮。dryRun 为 true 时只返回会被移动的文件，不移动也不推进游标
+ */
+export async function runTiering(env, { dryRun = false } = {}) {
+    const rules = (await getTieringRules(env)).filter(rule => rule.enabled !== false);
+    const state = await getTieringState(env);
+    const now = Date.now();
+
+    if (!dryRun && state.lockedUntil > now) {
+        throw new Error('分层存储任务正在执行中');
+    }
+
+    const report = {
+        dryRun,
+        startedAt: now,
+        finishedAt: null,
+        scanned: 0,
+        moved: 0,
+        failed: 0,
+        deferred: 0,
+        files: [],
+        errors: []
+    };
+    if (rules.length === 0) {
+        report.finishedAt = Date.now();
+        return report;
+    }
+
+    const storageManager = new StorageManager(env);
+    const usableRules = rules.filter(rule => storageManager.isProviderAvailable(rule.source) && storageManager.isProviderAvailable(rule.target));
+
+    if (!dryRun) {
+        state.lockedUntil = now + LOCK_TTL_MS;
+        if (!state.cursor) state.cycleStartedAt = now;
+        await env.img_url.put(STATE_KEY, JSON.stringify(state));
+    }
+
+    try {
+        const scanSize = parseInt(env.TIERING_SCAN_SIZE, 10) || DEFAULT_SCAN_SIZE;
+        const maxMoves = parseInt(env.TIERING_MAX_MOVES, 10) || DEFAULT_MAX_MOVES;
+        const page = await env.img_url.list({
+            prefix: 'file:',
+            limit: scanSize,
+            ...(state.cursor ? { cursor: state.cursor } : {})
+        });
+
+        for (const key of page.keys) {
+            report.scanned++;
+            const fileKey = key.name.substring('file:'.length);
+            const metadata = key.metadata;
+            if (!metadata) continue;
+
+            // 先按列表中的元数据筛选源存储，只为候选文件读取访问时间
+            const candidates = usableRules.filter(rule => (metadata.provider || 'telegram') === rule.source);
+            if (candidates.length === 0) continue;
+
+            const lastAccessedAt = await getLastAccess(env, fileKey);
+            const rule = candidates.find(item => matchesRule(item, metadata, lastAccessedAt, now));
+            if (!rule) continue;
+
+            if (dryRun) {
+                addEntry(report.files, { fileKey, rule: rule.name, source: rule.source, target: rule.target, lastAccessedAt });
+                continue;
+            }
+            if (report.moved >= maxMoves) {
+                report.deferred++;
+                continue;
+            }
+
+            try {
+                const moved = await tierFile(env, storageManager, rule, fileKey);
+                if (moved) {
+                    report.moved++;
+                    addEntry(report.files, { fileKey, rule: rule.name, source: rule.source, target: rule.target, sourceCopy: moved.sourceCopy });
+                }
+            } catch (error) {
+                console.error(`分层移动文件 ${fileKey} 失败:`, error);
+                report.failed++;
+                addEntry(report.errors, { fileKey, rule: rule.name, error: error?.message || String(error) });
+            }
+        }
+
+        // 达到移动上限时不推进游标，下次运行重新扫描本页，已移动的文件不再属于源存储会被跳过
+        if (!dryRun && report.deferred === 0) {
+            if (page.list_complete) {
+                state.cursor = null;
+                state.lastCycleCompletedAt = Date.now();
+            } else {
+                state.cursor = page.cursor;
+            }
+        }
+    } finally {
+        report.finishedAt = Date.now();
+        if (!dryRun) {
+            state.lockedUntil = 0;
+            state.lastRun = {
+                startedAt: report.startedAt,
+                finishedAt: report.finishedAt,
+                scanned: report.scanned,
+                moved: report.moved,
+                failed: report.failed,
+                deferred: report.deferred
+            };
+            await env.img_url.put(STATE_KEY, JSON.stringify(state));
+        }
+    }
+
+    if (report.moved > 0) {
+        console.log(`分层存储: 扫描 ${report.scanned} 条记录，移动 ${report.moved} 个文件`);
+    }
+    return report;
+}
+
+/**
+ * 移动单个文件，成功后删除源存储中不再被引用的数据
+ * 去重共享的内容在仍有其他记录使用源存储中的对象时保留；提供商不支持删除时保留在 migratedFrom 中
+ */
+async function tierFile(env, storageManager, rule, fileKey) {
+    const migrated = await migrateFile(env, storageManager, rule, fileKey);
+    if (!migrated) return null;
+
+    const record = await env.img_url.getWithMetadata(`file:${fileKey}`);
+    const metadata = record.metadata;
+    // 本次迁移的原位置是列表中的最后一项
+    const migratedFrom = getMigratedLocations(metadata);
+    const sourceLocation = migratedFrom[migratedFrom.length - 1];
+
+    if (!storageManager.getProviderCapabilities(sourceLocation.provider).delete) {
+        return { sourceCopy: 'kept' };
+    }
+    if (metadata.hash && await isSourceStillReferenced(env, metadata.hash, fileKey, sourceLocation)) {
+        return { sourceCopy: 'shared' };
+    }
+
+    const result = await deleteStoredLocation(env, storageManager, fileKey, metadata, sourceLocation);
+    if (result.status === 'deleted') {
+        // 源数据已删除，不再需要保留该位置，更早的原位置继续保留
+        const { migratedFrom: _, ...rest } = metadata;
+        const remaining = migratedFrom.slice(0, -1);
+        await env.img_url.put(`file:${fileKey}`, record.value || '', {
+            metadata: remaining.length > 0 ? { ...rest, migratedFrom: remaining } : rest
+        });
+    }
+    return { sourceCopy: result.status };
+}
+
+/**
+ * 检查去重共享同一内容的其他记录是否仍指向源存储中的对象
+ */
+async function isSourceStillReferenced(env, hash, fileKey, location) {
+    const entry = await getHashEntry(env, hash);
+    for (const ref of entry?.refs || []) {
+        if (ref.fileKey === fileKey) continue;
+        const other = await env.img_url.getWithMetadata(`file:${ref.fileKey}`);
+        const metadata = other && other.metadata;
+        if (metadata && (metadata.provider || 'telegram') === location.provider && (metadata.fileId || ref.fileKey) === location.fileId) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 定时任务是否需要执行分层存储
+ */
+export async function isTieringDue(env) {
+    if (!isTieringEnabled(env) || !env.img_url) return false;
+    const state = await getTieringState(env);
+    return state.lockedUntil <= Date.now();
+}
+
+function addEntry(list, entry) {
+    if (list.length < MAX_REPORT_ENTRIES) {
+        list.push(entry);
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * 存储用量统计与配额
+ * 文件记录写入和删除时增量更新用户和提供商的字节数、文件数，上传前据此检查配额
+ *
+ * KV 键:
+ *   usage:user:{userId}    { bytes, files, providers: { name: { bytes, files } }, updatedAt }
+ *   usage:provider:{name}  { bytes, files, updatedAt }
+ *   quota:{userId}         (users KV) 管理员为单个用户设置的配额 { bytes, files, updatedAt }
+ */
+
+import { USER_STORAGE_PROVIDER } from './UserStorage.js';
+import { parseSize, isSizeValue } from '../utils/size.js';
+
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+function userUsageKey(userId) {
+    return `usage:user:${userId || 'anonymous'}`;
+}
+
+function providerUsageKey(provider) {
+    return `usage:provider:${provider}`;
+}
+
+function quotaKey(userId) {
+    return `quota:${userId}`;
+}
+
+function emptyUsage() {
+    return { bytes: 0, files: 0, providers: {}, updatedAt: Date.now() };
+}
+
+/**
+ * 解析文件数配置，未设置或为 0 时返回 null 表示不限制
+ */
+export function parseCountLimit(raw) {
+    const count = parseInt(raw, 10);
+    return Number.isFinite(count) && count > 0 ? count : null;
+}
+
+/**
+ * 读取用户用量
+ * 已登录用户没有用量记录时 (启用统计前上传的文件) 根据文件索引重建一次
+ */
+export async function getUserUsage(env, userId) {
+    if (!env.img_url) return emptyUsage();
+
+    const usage = await env.img_url.get(userUsageKey(userId), { type: 'json' });
+    if (usage) return usage;
+
+    if (!userId || userId === 'anonymous') return emptyUsage();
+    return await rebuildUserUsage(env, userId);
+}
+
+/**
+ * 根据用户文件索引和旧版文件列表重新统计用量
+ */
+export async function rebuildUserUsage(env, userId) {
+    const usage = emptyUsage();
+    const counted = new Set();
+
+    const add = (id, fileSize, provider) => {
+        if (counted.has(id)) return;
+        counted.add(id);
+        addToUsage(usage, provider || 'telegram', Number(fileSize) || 0, 1);
+    };
+
+    const index = await env.img_url.get(`user:${userId}:files:index`, { type: 'json' });
+    for (const id of index?.ids || []) {
+        const entry = await env.img_url.get(`user:${userId}:file:${id}`, { type: 'json' });
+        if (entry) add(id, entry.fileSize, entry.provider);
+    }
+
+    const legacyFiles = await env.img_url.get(`user:${userId}:files`, { type: 'json' });
+    if (Array.isArray(legacyFiles)) {
+        for (const file of legacyFiles) {
+            if (file && file.id) add(file.id, file.fileSize, file.provider);
+        }
+    }
+
+    await env.img_url.put(userUsageKey(userId), JSON.stringify(usage));
+    return usage;
+}
+
+/**
+ * 按增量更新用户和提供商的用量，文件删除时传入负数
+ * providerBytes 为计入提供商总量的字节数，默认与 bytes 相同；去重共享的内容只在第一次存储时计入，其他记录传入 0
+ * KV 不支持原子更新，并发写入时可能有少量偏差，可通过 rebuildUserUsage 校正
+ */
+export async function recordUsage(env, { userId, provider, bytes = 0, files = 1, providerBytes = bytes }) {
+    if (!env.img_url) return;
+
+    try {
+        const providerName = provider || 'telegram';
+        const usage = await getUserUsage(env, userId);
+        addToUsage(usage, providerName, bytes, files);
+        await env.img_url.put(userUsageKey(userId), JSON.stringify(usage));
+
+        const totals = await env.img_url.get(providerUsageKey(providerName), { type: 'json' }) || { bytes: 0, files: 0 };
+        totals.bytes = Math.max(0, totals.bytes + providerBytes);
+        totals.files = Math.max(0, totals.files + files);
+        totals.updatedAt = Date.now();
+        await env.img_url.put(providerUsageKey(providerName), JSON.stringify(totals));
+    } catch (error) {
+        // 用量统计失败不影响上传和删除本身
+        console.error(`更新用户 ${userId || 'anonymous'} 的存储用量失败:`, error);
+    }
+}
+
+/**
+ * 文件迁移到其他提供商后，将用量从源提供商转移到目标提供商
+ * providerBytes 含义同 recordUsage，去重共享同一对象的其他记录传入 0
+ */
+export async function moveUsage(env, { userId, from, to, bytes = 0, providerBytes = bytes }) {
+    await recordUsage(env, { userId, provider: from, bytes: -bytes, files: -1, providerBytes: -providerBytes });
+    await recordUsage(env, { userId, provider: to, bytes, files: 1, providerBytes });
+}
+
+function addToUsage(usage, provider, bytes, files) {
+    usage.bytes = Math.max(0, (usage.bytes || 0) + bytes);
+    usage.files = Math.max(0, (usage.files || 0) + files);
+
+    const current = usage.providers[provider] || { bytes: 0, files: 0 };
+    current.bytes = Math.max(0, current.bytes + bytes);
+    current.files = Math.max(0, current.files + files);
+    if (current.files === 0) {
+        delete usage.providers[provider];
+    } else {
+        usage.providers[provider] = current;
+    }
+    usage.updatedAt = Date.now();
+}
+
+/**
+ * 获取各提供商的总用量
+ */
+export async function getProviderUsage(env) {
+    const result = {};
+    let cursor;
+    do {
+        const page = await env.img_url.list({ prefix: 'usage:provider:', cursor });
+        for (const key of page.keys) {
+            result[key.name.slice('usage:provider:'.length)] = await env.img_url.get(key.name, { type: 'json' });
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return result;
+}
+
+/**
+ * 获取用户的配额，null 表示不限制
+ * 管理员设置的单用户配额优先，其次为全局默认值 USER_QUOTA_BYTES / USER_QUOTA_FILES；
+ * 匿名上传共用 ANONYMOUS_QUOTA_BYTES / ANONYMOUS_QUOTA_FILES
+ */
+export async function getUserQuota(env, userId) {
+    if (!userId || userId === 'anonymous') {
+        return {
+            bytes: parseSize(env.ANONYMOUS_QUOTA_BYTES),
+            files: parseCountLimit(env.ANONYMOUS_QUOTA_FILES),
+            custom: false
+        };
+    }
+
+    const quota = {
+        bytes: parseSize(env.USER_QUOTA_BYTES),
+        files: parseCountLimit(env.USER_QUOTA_FILES),
+        custom: false
+    };
+
+    const override = env.users ? await env.users.get(quotaKey(userId), { type: 'json' }) : null;
+    if (override) {
+        if (override.bytes !== undefined) quota.bytes = override.bytes;
+        if (override.files !== undefined) quota.files = override.files;
+        quota.custom = true;
+    }
+    return quota;
+}
+
+/**
+ * 校验管理员提交的配额，返回错误信息，合法时返回 null
+ * bytes 为非负整数字节数或 "10GB" 这样的容量，files 为非负整数；null 与未传入相同，表示使用全局默认值
+ */
+export function validateQuotaInput({ bytes, files } = {}) {
+    if (bytes !== undefined && bytes !== null && !isSizeValue(bytes)) {
+        return 'bytes 必须是非负整数字节数或 "10GB" 这样的容量';
+    }
+    if (files !== undefined && files !== null && !(Number.isInteger(files) && files >= 0)) {
+        return 'files 必须是非负整数';
+    }
+    return null;
+}
+
+/**
+ * 保存单个用户的配额，未传入的字段沿用全局默认值，传入 0 表示不限制
+ * 无法解析的值直接报错，不会被当作不限制保存
+ */
+export async function setUserQuota(env, userId, { bytes, files }) {
+    const error = validateQuotaInput({ bytes, files });
+    if (error) {
+        throw new Error(error);
+    }
+
+    const override = { updatedAt: Date.now() };
+    if (bytes !== undefined && bytes !== null) {
+        override.bytes = parseSize(bytes);
+    }
+    if (files !== undefined && files !== null) {
+        override.files = parseCountLimit(files);
+    }
+    await env.users.put(quotaKey(userId), JSON.stringify(override));
+    return await getUserQuota(env, userId);
+}
+
+/**
+ * 删除单个用户的配额，恢复为全局默认值
+ */
+export async function deleteUserQuota(env, userId) {
+    await env.users.delete(quotaKey(userId));
+    return await getUserQuota(env, userId);
+}
+
+/**
+ * 检查再上传 bytes 字节是否超出配额，未超出时返回 null，否则返回错误详情
+ * 上传到用户自有存储的文件不占用配额
+ */
+export async function checkQuota(env, userId, { bytes = 0, provider } = {}) {
+    if (provider === USER_STORAGE_PROVIDER) return null;
+
+    const quota = await getUserQuota(env, userId);
+    if (quota.bytes === null && quota.files === null) return null;
+
+    const usage = summarizeUsage(await getUserUsage(env, userId), quota);
+    if (quota.files !== null && usage.quotaFiles + 1 > quota.files) {
+        return { code: QUOTA_EXCEEDED, message: `已达到文件数量配额 (${quota.files} 个)`, usage };
+    }
+    if (quota.bytes !== null && usage.quotaBytes + bytes > quota.bytes) {
+        return { code: QUOTA_EXCEEDED, message: `存储空间配额不足 (已用 ${usage.quotaBytes} / ${quota.bytes} bytes)`, usage };
+    }
+    return null;
+}
+
+/**
+ * 整理用量和配额，用于接口返回
+ * quotaBytes / quotaFiles 为计入配额的用量 (不含用户自有存储)
+ */
+export function summarizeUsage(usage, quota) {
+    const personal = usage.providers?.[USER_STORAGE_PROVIDER] || { bytes: 0, files: 0 };
+    const quotaBytes = Math.max(0, usage.bytes - personal.bytes);
+    const quotaFiles = Math.max(0, usage.files - personal.files);
+
+    return {
+        bytes: usage.bytes,
+        files: usage.files,
+        providers: usage.providers || {},
+        quotaBytes,
+        quotaFiles,
+        limit: {
+            bytes: quota.bytes,
+            files: quota.files,
+            custom: Boolean(quota.custom)
+        },
+        remaining: {
+            bytes: quota.bytes === null ? null : Math.max(0, quota.bytes - quotaBytes),
+            files: quota.files === null ? null : Math.max(0, quota.files - quotaFiles)
+        }
+    };
+}
+
+/**
+ * 获取用户用量及配额
+ */
+export async function getUsageReport(env, userId) {
+    const [usage, quota] = await Promise.all([getUserUsage(env, userId), getUserQuota(env, userId)]);
+    return summarizeUsage(usage, quota);
+}
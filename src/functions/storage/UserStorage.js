@@ -0,0 +1,336 @@
+/**
+ * 用户自有存储
+ * 用户可以绑定自己的 S3 / MinIO / WebDAV 存储桶，绑定后该用户的上传默认写入自己的存储桶；
+ * 连接凭据使用 STORAGE_ENCRYPTION_KEY 派生的 AES-GCM 密钥加密后保存在 users KV 中
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { getProviderDefinition } from './ProviderRegistry.js';
+
+// 用户自有存储在 StorageManager 中注册的提供商名称
+export const USER_STORAGE_PROVIDER = 'personal';
+export const USER_STORAGE_TYPES = ['s3', 'minio', 'webdav'];
+// 引入配置 id 之前保存的配置和文件记录使用的 id
+export const LEGACY_CONFIG_ID = 'legacy';
+
+// 各类型的必填字段和需要加密保存的字段
+const REQUIRED_FIELDS = {
+    s3: ['accessKeyId', 'secretAccessKey', 'bucket'],
+    minio: ['endpoint', 'accessKeyId', 'secretAccessKey', 'bucket'],
+    webdav: ['url', 'username', 'password']
+};
+const SECRET_FIELDS = ['accessKeyId', 'secretAccessKey', 'password'];
+const CONFIG_FIELDS = ['endpoint', 'bucket', 'region', 'publicUrl', 'url', 'username', ...SECRET_FIELDS];
+
+function configKey(userId) {
+    return `storage:${userId}`;
+}
+
+// 改绑到其他存储桶后，旧配置按 id 保留，之前上传的文件仍通过旧配置读取和删除
+function archivedConfigKey(userId, configId) {
+    return `storage:${userId}:archive:${configId}`;
+}
+
+function getConfigId(record) {
+    return record.id || LEGACY_CONFIG_ID;
+}
+
+/**
+ * 文件所在的用户存储配置 id，旧记录没有该字段时使用 LEGACY_CONFIG_ID
+ */
+export function getFileStorageConfigId(metadata = {}) {
+    return metadata.storageConfigId || LEGACY_CONFIG_ID;
+}
+
+/**
+ * 配置指向的存储位置，只修改凭据或区域时仍视为同一个存储桶
+ */
+function storageTarget(config) {
+    return [config.type, config.endpoint, config.bucket, config.url].map(value => value || '').join('|');
+}
+
+/**
+ * 校验并整理用户提交的存储配置，返回 { config } 或 { error }
+ * existing 为已保存的配置，提交时留空的密钥字段沿用原值
+ */
+export function normalizeUserStorageConfig(input = {}, existing = null) {
+    const type = String(input.type || '').trim().toLowerCase();
+    if (!USER_STORAGE_TYPES.includes(type)) {
+        return { error: `不支持的存储类型，可选: ${USER_STORAGE_TYPES.join(', ')}` };
+    }
+
+    const config = { type };
+    for (const field of CONFIG_FIELDS) {
+        const value = typeof input[field] === 'string' ? input[field].trim() : '';
+        if (value) {
+            config[field] = value;
+        } else if (SECRET_FIELDS.includes(field) && existing && existing.type === type && existing[field]) {
+            config[field] = existing[field];
+        }
+    }
+
+    const missing = REQUIRED_FIELDS[type].filter(field => !config[field]);
+    if (missing.length > 0) {
+        return { error: `缺少必填字段: ${missing.join(', ')}` };
+    }
+
+    for (const field of ['endpoint', 'url', 'publicUrl']) {
+        if (config[field] && !isHttpUrl(config[field])) {
+            return { error: `${field} 必须是 http 或 https 地址` };
+        }
+    }
+
+    return { config };
+}
+
+/**
+ * 根据用户配置创建存储提供商实例
+ * 通过注册表中对应类型的工厂创建，只传入映射后的连接参数，不继承全局环境变量中的凭据
+ */
+export function createUserStorageProvider(config) {
+    const definition = getProviderDefinition(config.type);
+    if (!USER_STORAGE_TYPES.includes(config.type) || !definition) {
+        throw new Error(`不支持的存储类型: ${config.type}`);
+    }
+    return definition.create(toProviderEnv(config));
+}
+
+/**
+ * 将用户配置映射为提供商读取的环境变量
+ */
+function toProviderEnv(config) {
+    switch (config.type) {
+        case 's3':
+            return {
+                AWS_ACCESS_KEY_ID: config.accessKeyId,
+                AWS_SECRET_ACCESS_KEY: config.secretAccessKey,
+                AWS_S3_BUCKET: config.bucket,
+                AWS_REGION: config.region,
+                AWS_S3_ENDPOINT: config.endpoint,
+                AWS_S3_PUBLIC_URL: config.publicUrl
+            };
+        case 'minio': {
+            // MinIOStorage 需要拆分为主机、端口和是否启用 SSL
+            const endpoint = new URL(config.endpoint);
+            const useSSL = endpoint.protocol === 'https:';
+            return {
+                MINIO_ENDPOINT: endpoint.hostname,
+                MINIO_PORT: endpoint.port || undefined,
+                MINIO_USE_SSL: String(useSSL),
+                MINIO_ACCESS_KEY: config.accessKeyId,
+                MINIO_SECRET_KEY: config.secretAccessKey,
+                MINIO_BUCKET: config.bucket,
+                MINIO_REGION: config.region,
+                MINIO_PUBLIC_URL: config.publicUrl
+            };
+        }
+        case 'webdav':
+            return {
+                WEBDAV_URL: config.url,
+                WEBDAV_USERNAME: config.username,
+                WEBDAV_PASSWORD: config.password,
+                WEBDAV_PUBLIC_URL: config.publicUrl
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * 检查用户存储配置能否连接和写入，返回提供商 healthCheck 的结果
+ * 只读凭据也能通过列举检查，因此连接正常后再上传并删除一个探测对象
+ */
+export async function testUserStorageConfig(config) {
+    try {
+        const provider = createUserStorageProvider(config);
+        const health = await provider.healthCheck();
+        if (health.status !== 'healthy') return health;
+        return await checkWriteAccess(provider, health);
+    } catch (error) {
+        return { status: 'error', message: error.message };
+    }
+}
+
+/**
+ * 写入探测对象后立即删除，写入失败时按检查未通过处理，删除失败只记录警告
+ */
+async function checkWriteAccess(provider, health) {
+    const fileName = `.tg-image-storage-check-${Date.now()}.txt`;
+    try {
+        await provider.uploadFile(new File(['storage check'], fileName, { type: 'text/plain' }), { fileName, public: false });
+    } catch (error) {
+        return { status: 'unhealthy', message: `存储写入检查失败: ${error.message}` };
+    }
+
+    const deleted = await provider.deleteFile(fileName);
+    if (!deleted || !deleted.success) {
+        return { ...health, writable: true, warning: `探测对象 ${fileName} 删除失败: ${deleted?.message || '未知错误'}` };
+    }
+    return { ...health, writable: true };
+}
+
+/**
+ * 读取并解密用户的存储配置，未配置时返回 null
+ * 指定 configId 时读取该 id 对应的配置 (当前配置或改绑前保留的旧配置)，已删除时返回 null
+ */
+export async function loadUserStorageConfig(env, userId, configId = null) {
+    if (!env.users || !userId) return null;
+
+    let record = await env.users.get(configKey(userId), { type: 'json' });
+    if (configId && (!record || getConfigId(record) !== configId)) {
+        record = await env.users.get(archivedConfigKey(userId, configId), { type: 'json' });
+    }
+    if (!record) return null;
+
+    const secrets = JSON.parse(await decrypt(env, record.iv, record.data));
+    return { ...record.summary, ...secrets, type: record.type, id: getConfigId(record) };
+}
+
+/**
+ * 读取用户存储配置中不含凭据的部分，用于在设置页面展示
+ */
+export async function getUserStorageSummary(env, userId) {
+    if (!env.users || !userId) return null;
+
+    const record = await env.users.get(configKey(userId), { type: 'json' });
+    if (!record) return null;
+
+    return {
+        id: getConfigId(record),
+        type: record.type,
+        ...record.summary,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+/**
+ * 加密保存用户的存储配置
+ * 仍指向同一个存储桶时沿用原配置 id；改绑到其他存储桶时生成新 id，并保留旧配置供已上传的文件使用
+ */
+export async function saveUserStorageConfig(env, userId, config) {
+    const secrets = {};
+    const summary = {};
+    for (const field of CONFIG_FIELDS) {
+        if (!config[field]) continue;
+        if (SECRET_FIELDS.includes(field)) {
+            secrets[field] = config[field];
+        } else {
+            summary[field] = config[field];
+        }
+    }
+
+    const existing = await env.users.get(configKey(userId), { type: 'json' });
+    const sameTarget = existing && storageTarget({ type: existing.type, ...existing.summary }) === storageTarget(config);
+    if (existing && !sameTarget) {
+        await env.users.put(archivedConfigKey(userId, getConfigId(existing)), JSON.stringify(existing));
+    }
+
+    const { iv, data } = await encrypt(env, JSON.stringify(secrets));
+    const record = {
+        id: sameTarget ? getConfigId(existing) : crypto.randomUUID(),
+        type: config.type,
+        summary,
+        iv,
+        data,
+        createdAt: sameTarget ? existing.createdAt : Date.now(),
+        updatedAt: Date.now()
+    };
+    await env.users.put(configKey(userId), JSON.stringify(record));
+
+    return { id: record.id, type: record.type, ...summary, createdAt: record.createdAt, updatedAt: record.updatedAt };
+}
+
+/**
+ * 删除用户的存储配置，包括改绑前保留的旧配置
+ * 已上传到这些存储桶的文件不会被删除，但之后无法再读取，删除记录时只记录为不可回收
+ */
+export async function deleteUserStorageConfig(env, userId) {
+    await env.users.delete(configKey(userId));
+
+    let cursor;
+    do {
+        const page = await env.users.list({ prefix: archivedConfigKey(userId, ''), ...(cursor ? { cursor } : {}) });
+        for (const key of page.keys) {
+            await env.users.delete(key.name);
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+}
+
+/**
+ * 将用户自有存储注册到 StorageManager，返回是否已注册
+ * 上传使用当前配置；读取和删除已有文件时传入文件记录中的 configId，只注册该文件所在的存储桶
+ * 配置无法解密或无效时记录错误并按未配置处理
+ */
+export async function attachUserStorage(env, storageManager, userId, configId = null) {
+    if (!userId || userId === 'anonymous') return false;
+
+    try {
+        const config = await loadUserStorageConfig(env, userId, configId);
+        if (!config) return false;
+
+        storageManager.registerProvider(USER_STORAGE_PROVIDER, createUserStorageProvider(config), {
+            owner: userId,
+            configId: config.id,
+            // 未配置公开地址的 S3 / MinIO 存储桶按私有处理，通过 /file/:id 使用预签名地址读取
+            privateReads: config.type !== 'webdav' && !config.publicUrl,
+            type: config.type
+        });
+        return true;
+    } catch (error) {
+        console.error(`加载用户 ${userId} 的自有存储失败:`, error);
+        return false;
+    }
+}
+
+/**
+ * 创建 StorageManager，并在用户绑定了自有存储时注册该存储
+ */
+export async function createStorageManagerForUser(env, userId, configId = null) {
+    const storageManager = new StorageManager(env);
+    await attachUserStorage(env, storageManager, userId, configId);
+    return storageManager;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+        return false;
+    }
+}
+
+async function getEncryptionKey(env) {
+    if (!env.STORAGE_ENCRYPTION_KEY) {
+        throw new Error('未配置 STORAGE_ENCRYPTION_KEY，无法保存存储凭据');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.STORAGE_ENCRYPTION_KEY));
+    return await crypto.subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+async function encrypt(env, plaintext) {
+    const key = await getEncryptionKey(env);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decrypt(env, iv, data) {
+    const key = await getEncryptionKey(env);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return new TextDecoder().decode(plaintext);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
@@ -0,0 +1,493 @@
+/**
+ * Azure Blob Storage 存储提供商
+ * 支持 Shared Key (账户密钥) 和 SAS 令牌两种认证方式，大文件使用分块 (Put Block / Put Block List) 上传；
+ * 设置 AZURE_STORAGE_CONNECTION_STRING = "UseDevelopmentStorage=true" 即可连接本地 Azurite 模拟器
+ */
+
+import { StorageProvider } from '../StorageProvider.js';
+import { encodeKey } from '../SigV4Signer.js';
+import { parseSize } from '../../utils/size.js';
+
+const API_VERSION = '2021-08-06';
+// Azure 限制单个 Blob 最多 50000 个块
+const MAX_BLOCK_COUNT = 50000;
+const MIN_BLOCK_SIZE = 1024 * 1024;
+
+// Azurite 模拟器的固定账户和密钥
+const DEVELOPMENT_ACCOUNT = 'devstoreaccount1';
+const DEVELOPMENT_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+const DEVELOPMENT_ENDPOINT = 'http://127.0.0.1:10000/devstoreaccount1';
+
+export class AzureBlobStorage extends StorageProvider {
+    constructor(env) {
+        super(env);
+        const config = AzureBlobStorage.resolveConfig(env);
+
+        this.accountName = config.accountName;
+        this.accountKey = config.accountKey || null;
+        this.sasToken = (config.sasToken || '').replace(/^\?/, '') || null;
+        this.container = env.AZURE_STORAGE_CONTAINER;
+        this.endpoint = (config.endpoint || `https://${this.accountName}.blob.core.windows.net`).replace(/\/+$/, '');
+        this.publicUrl = (env.AZURE_STORAGE_PUBLIC_URL || `${this.endpoint}/${this.container}`).replace(/\/+$/, '');
+
+        // 超过阈值的文件分块上传，避免一次性读入内存
+        this.blockSize = Math.max(parseSize(env.AZURE_BLOCK_SIZE) ?? 8 * 1024 * 1024, MIN_BLOCK_SIZE);
+        this.blockThreshold = Math.max(parseSize(env.AZURE_BLOCK_THRESHOLD) ?? 100 * 1024 * 1024, this.blockSize);
+        this.blockRetries = env.AZURE_BLOCK_RETRIES !== undefined ? parseInt(env.AZURE_BLOCK_RETRIES, 10) : 3;
+
+        if (!this.accountName || !this.container || (!this.accountKey && !this.sasToken)) {
+            throw new Error('Azure Blob 存储需要配置 AZURE_STORAGE_ACCOUNT, AZURE_STORAGE_CONTAINER 以及 AZURE_STORAGE_KEY 或 AZURE_STORAGE_SAS_TOKEN (或使用 AZURE_STORAGE_CONNECTION_STRING)');
+        }
+    }
+
+    /**
+     * 合并连接字符串与单独配置的环境变量，单独配置的变量优先
+     */
+    static resolveConfig(env) {
+        const parsed = AzureBlobStorage.parseConnectionString(env.AZURE_STORAGE_CONNECTION_STRING);
+        return {
+            accountName: env.AZURE_STORAGE_ACCOUNT || parsed.accountName,
+            accountKey: env.AZURE_STORAGE_KEY || parsed.accountKey,
+            sasToken: env.AZURE_STORAGE_SAS_TOKEN || parsed.sasToken,
+            endpoint: env.AZURE_STORAGE_ENDPOINT || parsed.endpoint
+        };
+    }
+
+    /**
+     * 解析 Azure 连接字符串
+     * 支持 AccountName / AccountKey / BlobEndpoint / SharedAccessSignature / EndpointSuffix 以及 UseDevelopmentStorage=true
+     */
+    static parseConnectionString(connectionString) {
+        if (!connectionString) return {};
+
+        const values = {};
+        for (const part of String(connectionString).split(';')) {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                values[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+            }
+        }
+
+        if (String(values.UseDevelopmentStorage).toLowerCase() === 'true') {
+            return {
+                accountName: DEVELOPMENT_ACCOUNT,
+                accountKey: DEVELOPMENT_KEY,
+                endpoint: values.DevelopmentStorageProxyUri || DEVELOPMENT_ENDPOINT
+            };
+        }
+
+        const protocol = values.DefaultEndpointsProtocol || 'https';
+        const suffix = values.EndpointSuffix || 'core.windows.net';
+        return {
+            accountName: values.AccountName,
+            accountKey: values.AccountKey,
+            sasToken: values.SharedAccessSignature,
+            endpoint: values.BlobEndpoint || (values.AccountName ? `${protocol}://${values.AccountName}.blob.${suffix}` : undefined)
+        };
+    }
+
+    async uploadFile(file, options = {}) {
+        const fileName = options.fileName || this.generateFileId(file.name);
+        const contentType = file.type || 'application/octet-stream';
+        const blobName = this.buildObjectKey(fileName, options);
+
+        console.log(`Azure Blob 存储: 上传文件 ${fileName} 到 ${blobName}, 大小: ${file.size}`);
+
+        try {
+            const uploadResult = file.size > this.blockThreshold
+                ? await this.stagedUpload(blobName, file, contentType)
+                : await this.putBlob(blobName, await file.arrayBuffer(), contentType);
+
+            return {
+                fileId: blobName,
+                originalName: file.name,
+                size: file.size,
+                type: contentType,
+                url: `${this.publicUrl}/${encodeKey(blobName)}`,
+                provider: 'azure',
+                container: this.container,
+                key: blobName,
+                etag: uploadResult.etag
+            };
+        } catch (error) {
+            console.error('Azure Blob 上传失败:', error);
+            throw new Error(`Azure Blob 上传失败: ${error.message}`);
+        }
+    }
+
+    async putBlob(blobName, body, contentType) {
+        const response = await this.authorizedFetch('PUT', this.buildUrl(blobName), {
+            'Content-Type': contentType,
+            'x-ms-blob-type': 'BlockBlob'
+        }, body);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Put Blob 请求失败: ${response.status} ${errorText}`);
+        }
+
+        return { etag: response.headers.get('etag') };
+    }
+
+    /**
+     * 分块上传：逐块 Put Block (失败重试)，最后通过 Put Block List 提交
+     * 未提交的块由 Azure 在 7 天后自动清理，失败时无需单独取消
+     */
+    async stagedUpload(blobName, file, contentType) {
+        const blockSize = Math.max(this.blockSize, Math.ceil(file.size / MAX_BLOCK_COUNT));
+        const blockCount = Math.ceil(file.size / blockSize);
+
+        console.log(`Azure Blob 分块上传: ${blobName}, 共 ${blockCount} 块, 每块 ${blockSize} 字节`);
+
+        const blockIds = [];
+        for (let index = 0; index < blockCount; index++) {
+            const start = index * blockSize;
+            const chunk = await file.slice(start, Math.min(start + blockSize, file.size)).arrayBuffer();
+            // 同一个 Blob 的块 ID 编码前长度必须一致
+            const blockId = btoa(`block-${String(index).padStart(6, '0')}`);
+            await this.putBlock(blobName, blockId, chunk);
+            blockIds.push(blockId);
+        }
+
+        return await this.putBlockList(blobName, blockIds, contentType);
+    }
+
+    async putBlock(blobName, blockId, chunk, retryCount = 0) {
+        try {
+            const response = await this.authorizedFetch('PUT', this.buildUrl(blobName, { comp: 'block', blockid: blockId }), {}, chunk);
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`块 ${blockId} 上传失败: ${response.status} ${errorText}`);
+            }
+        } catch (error) {
+            if (retryCount < this.blockRetries) {
+                console.warn(`Azure Blob 块 ${blockId} 上传失败，正在重试 (${retryCount + 1}/${this.blockRetries})`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+                return await this.putBlock(blobName, blockId, chunk, retryCount + 1);
+            }
+            throw error;
+        }
+    }
+
+    async putBlockList(blobName, blockIds, contentType) {
+        const body = '<?xml version="1.0" encoding="utf-8"?><BlockList>' +
+            blockIds.map(id => `<Latest>${id}</Latest>`).join('') +
+            '</BlockList>';
+
+        const response = await this.authorizedFetch('PUT', this.buildUrl(blobName, { comp: 'blocklist' }), {
+            'Content-Type': 'application/xml',
+            'x-ms-blob-content-type': contentType
+        }, new TextEncoder().encode(body));
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Put Block List 请求失败: ${response.status} ${errorText}`);
+        }
+
+        return { etag: response.headers.get('etag'), multipart: true, partCount: blockIds.length };
+    }
+
+    async deleteFile(fileId) {
+        try {
+            const response = await this.authorizedFetch('DELETE', this.buildUrl(fileId));
+
+            if (response.ok || response.status === 404) {
+                return { success: true, message: '文件删除成功' };
+            } else {
+                const errorText = await response.text();
+                throw new Error(`删除失败: ${response.status} ${errorText}`);
+            }
+        } catch (error) {
+            console.error('Azure Blob 删除文件失败:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * 获取文件URL
+     * signed 为 true 时返回带 SAS 的只读地址：配置了账户密钥时签发 expiresIn 秒后过期的服务 SAS，
+     * 只配置了 SAS 令牌时直接附加该令牌 (有效期由令牌本身决定)
+     */
+    async getFileUrl(fileId, options = {}) {
+        if (options.signed) {
+            const url = `${this.endpoint}/${this.container}/${encodeKey(fileId)}`;
+            const sas = this.accountKey
+                ? await this.generateBlobSas(fileId, { permissions: 'r', expiresIn: options.expiresIn || 3600 })
+                : this.sasToken;
+            return `${url}?${sas}`;
+        }
+
+        return `${this.publicUrl}/${encodeKey(fileId)}`;
+    }
+
+    /**
+     * 生成单个 Blob 的服务 SAS 查询字符串
+     */
+    async generateBlobSas(blobName, { permissions = 'r', expiresIn = 3600 } = {}) {
+        const expiry = formatSasTime(new Date(Date.now() + expiresIn * 1000));
+        const stringToSign = [
+            permissions,
+            '',
+            expiry,
+            `/blob/${this.accountName}/${this.container}/${blobName}`,
+            '',
+            '',
+            '',
+            API_VERSION,
+            'b',
+            '',
+            '',
+            '',
+            '',
+            '',
+            '',
+            ''
+        ].join('\n');
+
+        const query = new URLSearchParams({
+            sv: API_VERSION,
+            se: expiry,
+            sr: 'b',
+            sp: permissions,
+            sig: await this.sign(stringToSign)
+        });
+        return query.toString();
+    }
+
+    /**
+     * 使用存储账户凭据直接读取文件，容器无需公开访问
+     */
+    async getObject(fileId, options = {}) {
+        const headers = options.range ? { 'x-ms-range': options.range } : {};
+        const response = await this.authorizedFetch('GET', this.buildUrl(fileId), headers);
+        if (!response.ok) {
+            if (response.status !== 404) {
+                console.error(`Azure Blob 读取文件失败: ${response.status}`);
+            }
+            return null;
+        }
+        return response;
+    }
+
+    async headObject(fileId) {
+        const response = await this.authorizedFetch('HEAD', this.buildUrl(fileId));
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Azure Blob HEAD 请求失败: ${response.status}`);
+        }
+
+        return {
+            key: fileId,
+            size: parseInt(response.headers.get('content-length') || '0', 10),
+            etag: response.headers.get('etag'),
+            contentType: response.headers.get('content-type')
+        };
+    }
+
+    /**
+     * 列出容器中的 Blob (List Blobs)，返回格式与 R2Storage.listFiles 一致
+     */
+    async listFiles(prefix = '', limit = 1000, cursor = undefined) {
+        const query = { restype: 'container', comp: 'list', maxresults: String(Math.min(limit, 5000)) };
+        if (prefix) query.prefix = prefix;
+        if (cursor) query.marker = cursor;
+
+        const response = await this.authorizedFetch('GET', this.buildUrl('', query));
+        const body = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`Azure Blob 列出文件失败: ${response.status} ${body}`);
+        }
+
+        const files = (body.match(/<Blob>[\s\S]*?<\/Blob>/g) || []).map(block => {
+            const lastModified = readXmlTag(block, 'Last-Modified') || readXmlTag(block, 'Creation-Time');
+            return {
+                key: readXmlTag(block, 'Name'),
+                size: parseInt(readXmlTag(block, 'Content-Length') || '0', 10),
+                etag: readXmlTag(block, 'Etag'),
+                uploaded: lastModified ? new Date(lastModified) : null
+            };
+        });
+        const nextMarker = readXmlTag(body, 'NextMarker');
+
+        return {
+            files,
+            truncated: Boolean(nextMarker),
+            cursor: nextMarker || null
+        };
+    }
+
+    /**
+     * 健康检查：读取容器属性 (Get Container Properties)
+     * 容器级 SAS 令牌无权读取容器属性，只配置 SAS 令牌时改为列出一个 Blob
+     */
+    async healthCheck() {
+        try {
+            const response = this.accountKey
+                ? await this.authorizedFetch('HEAD', this.buildUrl('', { restype: 'container' }))
+                : await this.authorizedFetch('GET', this.buildUrl('', { restype: 'container', comp: 'list', maxresults: '1' }));
+
+            if (response.ok) {
+                return {
+                    status: 'healthy',
+                    message: 'Azure Blob 连接正常',
+                    account: this.accountName,
+                    container: this.container,
+                    endpoint: this.endpoint
+                };
+            } else {
+                return {
+                    status: 'unhealthy',
+                    message: `Azure Blob 连接失败: ${response.status}`
+                };
+            }
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Azure Blob 健康检查失败: ${error.message}`
+            };
+        }
+    }
+
+    async getStats() {
+        return {
+            provider: 'azure',
+            account: this.accountName,
+            container: this.container,
+            endpoint: this.endpoint,
+            authentication: this.accountKey ? 'shared-key' : 'sas',
+            limitations: {
+                maxFileSize: '190.7TB',
+                supportedFormats: '所有格式',
+                deleteSupport: true,
+                presignedUrlSupport: true,
+                multipartSupport: true,
+                listSupport: true,
+                blockThreshold: this.blockThreshold,
+                blockSize: this.blockSize
+            }
+        };
+    }
+
+    buildUrl(blobName = '', query = undefined) {
+        let url = `${this.endpoint}/${this.container}`;
+        if (blobName) {
+            url += `/${encodeKey(blobName)}`;
+        }
+
+        const params = new URLSearchParams(query || {});
+        // 只使用 SAS 令牌认证时，所有请求都附加令牌
+        if (!this.accountKey && this.sasToken) {
+            for (const [name, value] of new URLSearchParams(this.sasToken)) {
+                params.append(name, value);
+            }
+        }
+
+        const queryString = params.toString();
+        return queryString ? `${url}?${queryString}` : url;
+    }
+
+    /**
+     * 发送请求，配置了账户密钥时使用 Shared Key 签名，否则依靠 URL 中的 SAS 令牌
+     */
+    async authorizedFetch(method, url, headers = {}, body = undefined) {
+        const requestHeaders = {
+            ...headers,
+            'x-ms-date': new Date().toUTCString(),
+            'x-ms-version': API_VERSION
+        };
+
+        if (this.accountKey) {
+            const contentLength = body ? body.byteLength : 0;
+            requestHeaders['Authorization'] = `SharedKey ${this.accountName}:${await this.sign(this.buildStringToSign(method, url, requestHeaders, contentLength))}`;
+        }
+
+        return await fetch(url, {
+            method: method,
+            headers: requestHeaders,
+            body: body
+        });
+    }
+
+    /**
+     * Shared Key 签名字符串
+     * https://learn.microsoft.com/rest/api/storageservices/authorize-with-shared-key
+     */
+    buildStringToSign(method, url, headers, contentLength) {
+        const lowerHeaders = {};
+        for (const [name, value] of Object.entries(headers)) {
+            lowerHeaders[name.toLowerCase()] = String(value).trim();
+        }
+
+        const canonicalizedHeaders = Object.keys(lowerHeaders)
+            .filter(name => name.startsWith('x-ms-'))
+            .sort()
+            .map(name => `${name}:${lowerHeaders[name]}\n`)
+            .join('');
+
+        const requestUrl = new URL(url);
+        let canonicalizedResource = `/${this.accountName}${requestUrl.pathname}`;
+        const params = {};
+        for (const [name, value] of requestUrl.searchParams) {
+            const key = name.toLowerCase();
+            (params[key] = params[key] || []).push(value);
+        }
+        for (const name of Object.keys(params).sort()) {
+            canonicalizedResource += `\n${name}:${params[name].sort().join(',')}`;
+        }
+
+        return [
+            method,
+            lowerHeaders['content-encoding'] || '',
+            lowerHeaders['content-language'] || '',
+            contentLength > 0 ? String(contentLength) : '',
+            lowerHeaders['content-md5'] || '',
+            lowerHeaders['content-type'] || '',
+            '',
+            lowerHeaders['if-modified-since'] || '',
+            lowerHeaders['if-match'] || '',
+            lowerHeaders['if-none-match'] || '',
+            lowerHeaders['if-unmodified-since'] || '',
+            lowerHeaders['range'] || ''
+        ].join('\n') + '\n' + canonicalizedHeaders + canonicalizedResource;
+    }
+
+    /**
+     * 使用账户密钥计算 HMAC-SHA256 签名 (Base64)
+     */
+    async sign(stringToSign) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            Uint8Array.from(atob(this.accountKey), char => char.charCodeAt(0)),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(stringToSign)));
+        let binary = '';
+        for (const byte of signature) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+}
+
+/**
+ * SAS 时间格式: 2024-01-01T00:00:00Z (不含毫秒)
+ */
+function formatSasTime(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function readXmlTag(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    if (!match) return null;
+    return match[1]
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
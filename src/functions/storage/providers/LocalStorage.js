@@ -0,0 +1,242 @@
+/**
+ * 本地存储提供商
+ * 在 Node 环境下将文件写入 LOCAL_STORAGE_DIR 目录，未设置目录时使用进程内存；
+ * Workers 中默认不启用，设置 LOCAL_STORAGE_MEMORY=true 时使用 isolate 内存 (仅用于测试和调试)
+ */
+
+import { StorageProvider } from '../StorageProvider.js';
+
+// 内存存储在同一进程内共享，每个请求都会新建 StorageManager
+const memoryStore = new Map();
+
+export class LocalStorage extends StorageProvider {
+    constructor(env) {
+        super(env);
+        this.directory = env.LOCAL_STORAGE_DIR || '';
+        this.useDisk = Boolean(this.directory) && isNodeRuntime();
+        this.store = memoryStore;
+    }
+
+    /**
+     * 当前运行环境能否启用本地存储
+     * Workers 中没有文件系统，内存中的文件只对当前 isolate 可见并会随时丢失，需要显式设置 LOCAL_STORAGE_MEMORY=true
+     */
+    static isSupported(env) {
+        return isNodeRuntime() || String(env.LOCAL_STORAGE_MEMORY || 'false').toLowerCase() === 'true';
+    }
+
+    async uploadFile(file, options = {}) {
+        const fileName = options.fileName || this.generateFileId(file.name);
+        const contentType = file.type || 'application/octet-stream';
+        const key = this.buildObjectKey(fileName, options);
+
+        console.log(`本地存储: 上传文件 ${fileName} 到 ${key}, 大小: ${file.size}`);
+
+        try {
+            const fileBuffer = await file.arrayBuffer();
+            const info = {
+                contentType: contentType,
+                size: fileBuffer.byteLength,
+                originalName: file.name,
+                metadata: options.metadata || {},
+                uploaded: Date.now()
+            };
+
+            await this.writeObject(key, new Uint8Array(fileBuffer), info);
+
+            return {
+                fileId: key,
+                originalName: file.name,
+                size: file.size,
+                type: contentType,
+                url: `/file/${key}`,
+                provider: 'local',
+                key: key
+            };
+        } catch (error) {
+            console.error('本地存储上传失败:', error);
+            throw new Error(`本地存储上传失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 读取对象并直接构造响应，供 fileHandler 使用
+     */
+    async getObject(fileId) {
+        const object = await this.readObject(fileId);
+        if (!object) {
+            return null;
+        }
+
+        const headers = new Headers();
+        headers.set('Content-Type', object.info.contentType || 'application/octet-stream');
+        headers.set('Content-Length', String(object.data.byteLength));
+
+        return new Response(object.data, { status: 200, headers });
+    }
+
+    /**
+     * 按 key 排序分页列出对象，返回格式与 R2Storage.listFiles 一致
+     * cursor 为上一页最后一个对象的 key
+     */
+    async listFiles(prefix = '', limit = 1000, cursor = undefined) {
+        const objects = (await this.listObjects(prefix))
+            .filter(object => !cursor || object.key > cursor)
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+        const files = objects.slice(0, limit);
+        const truncated = objects.length > limit;
+
+        return {
+            files,
+            truncated,
+            cursor: truncated ? files[files.length - 1].key : null
+        };
+    }
+
+    async listObjects(prefix = '') {
+        if (!this.useDisk) {
+            return Array.from(this.store.entries())
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, object]) => ({ key, size: object.info.size, uploaded: object.info.uploaded }));
+        }
+
+        const fs = await loadNodeModule('node:fs/promises');
+        const path = await loadNodeModule('node:path');
+        const entries = await fs.readdir(this.directory, { recursive: true }).catch(() => []);
+        const files = [];
+        for (const entry of entries) {
+            const key = entry.split(path.sep).join('/');
+            if (key.endsWith('.meta.json') || !key.startsWith(prefix)) continue;
+            const info = await this.readInfo(key);
+            if (info) {
+                files.push({ key, size: info.size, uploaded: info.uploaded });
+            }
+        }
+        return files;
+    }
+
+    async deleteFile(fileId) {
+        try {
+            if (!this.useDisk) {
+                this.store.delete(fileId);
+                return { success: true, message: '文件删除成功' };
+            }
+
+            const fs = await loadNodeModule('node:fs/promises');
+            const filePath = await this.resolvePath(fileId);
+            await fs.rm(filePath, { force: true });
+            await fs.rm(`${filePath}.meta.json`, { force: true });
+            return { success: true, message: '文件删除成功' };
+        } catch (error) {
+            console.error('本地存储删除文件失败:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getFileUrl(fileId, options = {}) {
+        return `/file/${fileId}`;
+    }
+
+    async healthCheck() {
+        try {
+            if (this.useDisk) {
+                const fs = await loadNodeModule('node:fs/promises');
+                await fs.mkdir(this.directory, { recursive: true });
+                await fs.access(this.directory, fs.constants?.W_OK);
+            }
+
+            return {
+                status: 'healthy',
+                message: this.useDisk ? '本地存储目录可写' : '内存存储可用',
+                mode: this.useDisk ? 'disk' : 'memory',
+                directory: this.useDisk ? this.directory : null
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `本地存储健康检查失败: ${error.message}`
+            };
+        }
+    }
+
+    async getStats() {
+        const files = await this.listObjects();
+        return {
+            provider: 'local',
+            mode: this.useDisk ? 'disk' : 'memory',
+            directory: this.useDisk ? this.directory : null,
+            fileCount: files.length,
+            totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+            limitations: {
+                maxFileSize: '受限于磁盘/内存',
+                supportedFormats: '所有格式',
+                deleteSupport: true,
+                persistent: this.useDisk
+            }
+        };
+    }
+
+    async writeObject(key, data, info) {
+        if (!this.useDisk) {
+            this.store.set(key, { data, info });
+            return;
+        }
+
+        const fs = await loadNodeModule('node:fs/promises');
+        const path = await loadNodeModule('node:path');
+        const filePath = await this.resolvePath(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, data);
+        await fs.writeFile(`${filePath}.meta.json`, JSON.stringify(info));
+    }
+
+    async readObject(key) {
+        if (!this.useDisk) {
+            return this.store.get(key) || null;
+        }
+
+        const fs = await loadNodeModule('node:fs/promises');
+        const info = await this.readInfo(key);
+        if (!info) {
+            return null;
+        }
+        const data = await fs.readFile(await this.resolvePath(key));
+        return { data: new Uint8Array(data), info };
+    }
+
+    async readInfo(key) {
+        const fs = await loadNodeModule('node:fs/promises');
+        try {
+            const raw = await fs.readFile(`${await this.resolvePath(key)}.meta.json`, 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 将文件键解析为存储目录内的绝对路径，拒绝越出目录的键
+     */
+    async resolvePath(key) {
+        const path = await loadNodeModule('node:path');
+        const root = path.resolve(this.directory);
+        const filePath = path.resolve(root, key);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new Error(`非法的文件键: ${key}`);
+        }
+        return filePath;
+    }
+}
+
+function isNodeRuntime() {
+    const isWorkers = typeof navigator !== 'undefined' && navigator.userAgent === 'Cloudflare-Workers';
+    return !isWorkers && typeof process !== 'undefined' && Boolean(process.versions?.node);
+}
+
+/**
+ * 动态加载 Node 内置模块
+ * 模块名使用变量传入，避免 Workers 打包时尝试解析 node: 模块
+ */
+async function loadNodeModule(name) {
+    return await import(name);
+}
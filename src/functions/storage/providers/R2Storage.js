@@ -0,0 +1,201 @@
+/**
+ * Cloudflare R2 存储提供商
+ * 直接使用 Worker 绑定的 R2 存储桶，无需额外签名请求
+ */
+
+import { StorageProvider } from '../StorageProvider.js';
+
+export class R2Storage extends StorageProvider {
+    constructor(env) {
+        super(env);
+        this.bucket = env.R2_BUCKET;
+        this.bucketName = env.R2_BUCKET_NAME || 'R2_BUCKET';
+        this.publicUrl = env.R2_PUBLIC_URL ? env.R2_PUBLIC_URL.replace(/\/+$/, '') : '';
+
+        if (!this.bucket || typeof this.bucket.put !== 'function') {
+            throw new Error('R2 存储需要在 wrangler.toml 中绑定 R2_BUCKET');
+        }
+    }
+
+    async uploadFile(file, options = {}) {
+        const fileName = options.fileName || this.generateFileId(file.name);
+        const contentType = file.type || 'application/octet-stream';
+        const key = this.buildObjectKey(fileName, options);
+
+        console.log(`R2 存储: 上传文件 ${fileName} 到 ${key}, 大小: ${file.size}`);
+
+        try {
+            const fileBuffer = await file.arrayBuffer();
+            const object = await this.bucket.put(key, fileBuffer, {
+                httpMetadata: {
+                    contentType: contentType,
+                    ...(options.cacheControl ? { cacheControl: options.cacheControl } : {})
+                },
+                customMetadata: this.buildCustomMetadata(file, options.metadata)
+            });
+
+            return {
+                fileId: key,
+                originalName: file.name,
+                size: file.size,
+                type: contentType,
+                url: this.publicUrl ? `${this.publicUrl}/${key}` : `/file/${key}`,
+                provider: 'r2',
+                bucket: this.bucketName,
+                key: key,
+                etag: object?.httpEtag || null
+            };
+        } catch (error) {
+            console.error('R2 上传失败:', error);
+            throw new Error(`R2 上传失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * R2 自定义元数据只接受字符串值
+     */
+    buildCustomMetadata(file, metadata = {}) {
+        const custom = { originalName: file.name || '' };
+        for (const [key, value] of Object.entries(metadata || {})) {
+            if (value !== undefined && value !== null) {
+                custom[key] = String(value);
+            }
+        }
+        return custom;
+    }
+
+    /**
+     * 读取对象并直接构造响应，供 fileHandler 使用而无需再次发起 HTTP 请求
+     */
+    async getObject(fileId, options = {}) {
+        const range = toR2Range(options.range);
+        const object = await this.bucket.get(fileId, range ? { range } : {});
+        if (!object) {
+            return null;
+        }
+
+        const headers = new Headers();
+        object.writeHttpMetadata(headers);
+        headers.set('ETag', object.httpEtag);
+        headers.set('Accept-Ranges', 'bytes');
+
+        if (range && object.range) {
+            const offset = 'suffix' in object.range
+                ? Math.max(object.size - object.range.suffix, 0)
+                : object.range.offset || 0;
+            const length = 'suffix' in object.range
+                ? object.size - offset
+                : Math.min(object.range.length ?? object.size - offset, object.size - offset);
+            headers.set('Content-Range', `bytes ${offset}-${offset + length - 1}/${object.size}`);
+            headers.set('Content-Length', String(length));
+            return new Response(object.body, { status: 206, headers });
+        }
+
+        headers.set('Content-Length', String(object.size));
+        return new Response(object.body, { status: 200, headers });
+    }
+
+    async headObject(fileId) {
+        const object = await this.bucket.head(fileId);
+        if (!object) {
+            return null;
+        }
+
+        return {
+            key: object.key,
+            size: object.size,
+            etag: object.httpEtag,
+            uploaded: object.uploaded,
+            contentType: object.httpMetadata?.contentType || null,
+            customMetadata: object.customMetadata || {}
+        };
+    }
+
+    async listFiles(prefix = '', limit = 100, cursor = undefined) {
+        const result = await this.bucket.list({
+            prefix: prefix || undefined,
+            limit: limit,
+            cursor: cursor,
+            include: ['httpMetadata', 'customMetadata']
+        });
+
+        return {
+            files: result.objects.map(object => ({
+                key: object.key,
+                size: object.size,
+                etag: object.httpEtag,
+                uploaded: object.uploaded,
+                customMetadata: object.customMetadata || {}
+            })),
+            truncated: result.truncated,
+            cursor: result.truncated ? result.cursor : null
+        };
+    }
+
+    async deleteFile(fileId) {
+        try {
+            await this.bucket.delete(fileId);
+            return { success: true, message: '文件删除成功' };
+        } catch (error) {
+            console.error('R2 删除文件失败:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getFileUrl(fileId, options = {}) {
+        if (this.publicUrl) {
+            return `${this.publicUrl}/${fileId}`;
+        }
+
+        return `/file/${fileId}`;
+    }
+
+    async healthCheck() {
+        try {
+            await this.bucket.list({ limit: 1 });
+
+            return {
+                status: 'healthy',
+                message: 'R2 存储桶连接正常',
+                bucket: this.bucketName
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `R2 健康检查失败: ${error.message}`
+            };
+        }
+    }
+
+    async getStats() {
+        return {
+            provider: 'r2',
+            bucket: this.bucketName,
+            publicUrl: this.publicUrl || null,
+            limitations: {
+                maxFileSize: '5GB (单次上传)',
+                supportedFormats: '所有格式',
+                deleteSupport: true,
+                directBindingSupport: true
+            }
+        };
+    }
+}
+
+/**
+ * 将单段 Range 请求头转换为 R2 的范围参数，无法识别时返回 null 读取完整对象
+ */
+function toR2Range(header) {
+    const match = header ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    if (match[1] === '') {
+        const suffix = parseInt(match[2], 10);
+        return suffix > 0 ? { suffix } : null;
+    }
+    const offset = parseInt(match[1], 10);
+    if (match[2] === '') return { offset };
+
+    const end = parseInt(match[2], 10);
+    return end >= offset ? { offset, length: end - offset + 1 } : null;
+}
@@ -0,0 +1,431 @@
+/**
+ * S3 兼容存储基类
+ * S3 与 MinIO 等 S3 兼容服务共用的请求构造、SigV4 签名和预签名逻辑
+ */
+
+import { StorageProvider } from '../StorageProvider.js';
+import { SigV4Signer, encodeKey, encodeRfc3986, sha256Hex } from '../SigV4Signer.js';
+import { parseSize } from '../../utils/size.js';
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_COUNT = 10000;
+
+export class S3CompatibleStorage extends StorageProvider {
+    /**
+     * @param {object} env 环境变量
+     * @param {object} config 连接配置: providerName, displayName, accessKeyId, secretAccessKey,
+     *   sessionToken, region, bucket, endpoint, publicUrl, virtualHost, supportsAcl,
+     *   multipartThreshold, partSize, partRetries
+     */
+    constructor(env, config) {
+        super(env);
+        this.providerName = config.providerName;
+        this.displayName = config.displayName;
+        this.accessKeyId = config.accessKeyId;
+        this.secretAccessKey = config.secretAccessKey;
+        this.sessionToken = config.sessionToken || null;
+        this.region = config.region || 'us-east-1';
+        this.bucket = config.bucket;
+        this.endpoint = config.endpoint.replace(/\/+$/, '');
+        this.virtualHost = Boolean(config.virtualHost);
+        this.publicUrl = (config.publicUrl || this.getBucketUrl()).replace(/\/+$/, '');
+        this.supportsAcl = config.supportsAcl !== false;
+
+        // 超过阈值的文件使用分片上传，每个请求只携带一个分片，单个分片失败时只重传该分片
+        // 默认阈值与分片大小相同，须低于 MAX_FILE_SIZE 才会生效
+        this.partSize = Math.max(parseSize(config.partSize) ?? 8 * 1024 * 1024, MIN_PART_SIZE);
+        this.multipartThreshold = Math.max(parseSize(config.multipartThreshold) ?? this.partSize, this.partSize);
+        this.partRetries = config.partRetries !== undefined ? parseInt(config.partRetries, 10) : 3;
+
+        this.signer = new SigV4Signer({
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey,
+            sessionToken: this.sessionToken,
+            region: this.region,
+            service: 's3'
+        });
+    }
+
+    async uploadFile(file, options = {}) {
+        const fileName = options.fileName || this.generateFileId(file.name);
+        const contentType = file.type || 'application/octet-stream';
+        const key = this.buildObjectKey(fileName, options);
+
+        console.log(`${this.displayName} 存储: 上传文件 ${fileName} 到 ${key}, 大小: ${file.size}`);
+
+        try {
+            const uploadResult = file.size > this.multipartThreshold
+                ? await this.multipartUpload(key, file, contentType, options)
+                : await this.putObject(key, await file.arrayBuffer(), contentType, options);
+
+            return {
+                fileId: key,
+                originalName: file.name,
+                size: file.size,
+                type: contentType,
+                url: `${this.publicUrl}/${encodeKey(key)}`,
+                provider: this.providerName,
+                bucket: this.bucket,
+                key: key,
+                etag: uploadResult.etag
+            };
+        } catch (error) {
+            console.error(`${this.displayName} 上传失败:`, error);
+            throw new Error(`${this.displayName} 上传失败: ${error.message}`);
+        }
+    }
+
+    async putObject(key, body, contentType, options = {}) {
+        const url = this.buildUrl(key);
+        const headers = {
+            'Content-Type': contentType,
+            'Content-Length': body.byteLength.toString(),
+            ...this.buildObjectHeaders(options)
+        };
+
+        const response = await this.signedFetch('PUT', url, headers, body);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.displayName} PUT 请求失败: ${response.status} ${errorText}`);
+        }
+
+        return {
+            etag: response.headers.get('etag'),
+            location: url
+        };
+    }
+
+    /**
+     * 分片上传：CreateMultipartUpload -> UploadPart (逐片重试) -> CompleteMultipartUpload
+     * 任一步骤失败时调用 AbortMultipartUpload 清理已上传的分片
+     */
+    async multipartUpload(key, file, contentType, options = {}) {
+        // 单个上传最多 10000 个分片，超大文件需要增大分片大小
+        const partSize = Math.max(this.partSize, Math.ceil(file.size / MAX_PART_COUNT));
+        const partCount = Math.ceil(file.size / partSize);
+        const uploadId = await this.createMultipartUpload(key, contentType, options);
+
+        console.log(`${this.displayName} 分片上传: ${key}, 共 ${partCount} 片, 每片 ${partSize} 字节`);
+
+        try {
+            const parts = [];
+            for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                const start = (partNumber - 1) * partSize;
+                const chunk = await file.slice(start, Math.min(start + partSize, file.size)).arrayBuffer();
+                const etag = await this.uploadPart(key, uploadId, partNumber, chunk);
+                parts.push({ partNumber, etag });
+            }
+
+            return await this.completeMultipartUpload(key, uploadId, parts);
+        } catch (error) {
+            try {
+                await this.abortMultipartUpload(key, uploadId);
+            } catch (abortError) {
+                console.error(`${this.displayName} 取消分片上传失败:`, abortError);
+            }
+            throw error;
+        }
+    }
+
+    async createMultipartUpload(key, contentType, options = {}) {
+        const headers = {
+            'Content-Type': contentType,
+            ...this.buildObjectHeaders(options)
+        };
+
+        const response = await this.signedFetch('POST', this.buildUrl(key, { uploads: '' }), headers);
+        const body = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`${this.displayName} 创建分片上传失败: ${response.status} ${body}`);
+        }
+
+        const uploadId = readXmlTag(body, 'UploadId');
+        if (!uploadId) {
+            throw new Error(`${this.displayName} 创建分片上传失败: 响应中缺少 UploadId`);
+        }
+        return uploadId;
+    }
+
+    async uploadPart(key, uploadId, partNumber, chunk, retryCount = 0) {
+        const url = this.buildUrl(key, { partNumber: String(partNumber), uploadId });
+
+        try {
+            const response = await this.signedFetch('PUT', url, {
+                'Content-Length': chunk.byteLength.toString()
+            }, chunk);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`分片 ${partNumber} 上传失败: ${response.status} ${errorText}`);
+            }
+
+            return response.headers.get('etag');
+        } catch (error) {
+            if (retryCount < this.partRetries) {
+                console.warn(`${this.displayName} 分片 ${partNumber} 上传失败，正在重试 (${retryCount + 1}/${this.partRetries})`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+                return await this.uploadPart(key, uploadId, partNumber, chunk, retryCount + 1);
+            }
+            throw error;
+        }
+    }
+
+    async completeMultipartUpload(key, uploadId, parts) {
+        const body = '<CompleteMultipartUpload>' +
+            parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`).join('') +
+            '</CompleteMultipartUpload>';
+
+        const url = this.buildUrl(key, { uploadId });
+        const response = await this.signedFetch('POST', url, {
+            'Content-Type': 'application/xml'
+        }, new TextEncoder().encode(body));
+        const responseText = await response.text();
+
+        // CompleteMultipartUpload 可能返回 200 但响应体中包含错误
+        if (!response.ok || /<Error>/.test(responseText)) {
+            throw new Error(`${this.displayName} 完成分片上传失败: ${response.status} ${responseText}`);
+        }
+
+        return {
+            etag: readXmlTag(responseText, 'ETag') || null,
+            location: url.split('?')[0],
+            multipart: true,
+            partCount: parts.length
+        };
+    }
+
+    async abortMultipartUpload(key, uploadId) {
+        const response = await this.signedFetch('DELETE', this.buildUrl(key, { uploadId }));
+        if (!response.ok && response.status !== 404) {
+            const errorText = await response.text();
+            throw new Error(`${response.status} ${errorText}`);
+        }
+    }
+
+    /**
+     * 上传对象时附加的 ACL 与自定义元数据请求头
+     */
+    buildObjectHeaders(options = {}) {
+        const headers = {};
+
+        if (this.supportsAcl && options.public !== false) {
+            headers['x-amz-acl'] = 'public-read';
+        }
+
+        if (options.metadata) {
+            for (const [name, value] of Object.entries(options.metadata)) {
+                // 元数据通过请求头传输，只能包含 ASCII 字符
+                headers[`x-amz-meta-${name.toLowerCase()}`] = encodeURIComponent(String(value));
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * 发送已签名的请求
+     * body 为空时使用空负载哈希，否则计算实际负载哈希
+     */
+    async signedFetch(method, url, headers = {}, body = undefined) {
+        const payloadHash = await sha256Hex(body === undefined ? '' : body);
+        const signedHeaders = await this.signer.signRequest(method, url, headers, payloadHash);
+
+        return await fetch(url, {
+            method: method,
+            headers: signedHeaders,
+            body: body
+        });
+    }
+
+    async deleteFile(fileId) {
+        try {
+            const response = await this.signedFetch('DELETE', this.buildUrl(fileId));
+
+            if (response.ok || response.status === 404) {
+                return { success: true, message: '文件删除成功' };
+            } else {
+                const errorText = await response.text();
+                throw new Error(`删除失败: ${response.status} ${errorText}`);
+            }
+        } catch (error) {
+            console.error(`${this.displayName} 删除文件失败:`, error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getFileUrl(fileId, options = {}) {
+        if (options.signed) {
+            return await this.generatePresignedUrl(fileId, { expiresIn: options.expiresIn || 3600 });
+        }
+
+        return `${this.publicUrl}/${encodeKey(fileId)}`;
+    }
+
+    /**
+     * 生成预签名URL
+     * method 为 GET 时用于私有读取，为 PUT 时客户端可直接上传到存储桶
+     */
+    async generatePresignedUrl(key, { method = 'GET', expiresIn = 3600, contentType, headers = {} } = {}) {
+        const signedHeaders = contentType ? { ...headers, 'Content-Type': contentType } : { ...headers };
+        return await this.signer.presignUrl(method, this.buildUrl(key), { expiresIn, headers: signedHeaders });
+    }
+
+    /**
+     * 创建浏览器直传所需的预签名 PUT 请求
+     * 客户端上传时必须携带返回的全部请求头 (Content-Type 及 ACL)，与 putObject 上传的对象权限一致
+     */
+    async createDirectUpload(fileName, contentType, options = {}) {
+        const key = options.fileName || this.generateFileId(fileName);
+        const expiresIn = options.expiresIn || 900;
+        const aclHeaders = this.buildObjectHeaders({ public: options.public });
+        const uploadUrl = await this.generatePresignedUrl(key, { method: 'PUT', expiresIn, contentType, headers: aclHeaders });
+
+        return {
+            fileId: key,
+            uploadUrl: uploadUrl,
+            method: 'PUT',
+            headers: { 'Content-Type': contentType, ...aclHeaders },
+            expiresIn: expiresIn
+        };
+    }
+
+    async headObject(key) {
+        const response = await this.signedFetch('HEAD', this.buildUrl(key));
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`${this.displayName} HEAD 请求失败: ${response.status}`);
+        }
+
+        return {
+            key: key,
+            size: parseInt(response.headers.get('content-length') || '0', 10),
+            etag: response.headers.get('etag'),
+            contentType: response.headers.get('content-type')
+        };
+    }
+
+    /**
+     * 列出存储桶中的对象 (ListObjectsV2)，返回格式与 R2Storage.listFiles 一致
+     */
+    async listFiles(prefix = '', limit = 1000, cursor = undefined) {
+        const query = { 'list-type': '2', 'max-keys': String(Math.min(limit, 1000)) };
+        if (prefix) query.prefix = prefix;
+        if (cursor) query['continuation-token'] = cursor;
+
+        const response = await this.signedFetch('GET', this.buildUrl('', query));
+        const body = await response.text();
+
+        if (!response.ok) {
+            throw new Error(`${this.displayName} 列出文件失败: ${response.status} ${body}`);
+        }
+
+        const files = (body.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).map(block => {
+            const lastModified = readXmlTag(block, 'LastModified');
+            return {
+                key: readXmlTag(block, 'Key'),
+                size: parseInt(readXmlTag(block, 'Size') || '0', 10),
+                etag: readXmlTag(block, 'ETag'),
+                uploaded: lastModified ? new Date(lastModified) : null
+            };
+        });
+        const truncated = readXmlTag(body, 'IsTruncated') === 'true';
+
+        return {
+            files,
+            truncated,
+            cursor: truncated ? readXmlTag(body, 'NextContinuationToken') : null
+        };
+    }
+
+    async healthCheck() {
+        try {
+            const response = await this.signedFetch('GET', this.buildUrl('', { 'max-keys': '1' }));
+
+            if (response.ok) {
+                return {
+                    status: 'healthy',
+                    message: `${this.displayName} 连接正常`,
+                    bucket: this.bucket,
+                    region: this.region,
+                    endpoint: this.endpoint
+                };
+            } else {
+                return {
+                    status: 'unhealthy',
+                    message: `${this.displayName} 连接失败: ${response.status}`
+                };
+            }
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `${this.displayName} 健康检查失败: ${error.message}`
+            };
+        }
+    }
+
+    async getStats() {
+        return {
+            provider: this.providerName,
+            bucket: this.bucket,
+            region: this.region,
+            endpoint: this.endpoint,
+            addressing: this.virtualHost ? 'virtual-host' : 'path',
+            limitations: {
+                maxFileSize: '5TB',
+                supportedFormats: '所有格式',
+                deleteSupport: true,
+                presignedUrlSupport: true,
+                directUploadSupport: true,
+                multipartSupport: true,
+                listSupport: true,
+                multipartThreshold: this.multipartThreshold,
+                partSize: this.partSize
+            }
+        };
+    }
+
+    /**
+     * 存储桶根地址
+     * 虚拟主机风格: https://bucket.endpoint；路径风格: https://endpoint/bucket
+     */
+    getBucketUrl() {
+        const endpointUrl = new URL(this.endpoint);
+        if (this.virtualHost) {
+            return `${endpointUrl.protocol}//${this.bucket}.${endpointUrl.host}`;
+        }
+        return `${endpointUrl.protocol}//${endpointUrl.host}/${this.bucket}`;
+    }
+
+    buildUrl(key = '', query = undefined) {
+        let url = `${this.getBucketUrl()}/${encodeKey(key)}`;
+
+        if (query && Object.keys(query).length > 0) {
+            const queryString = Object.keys(query)
+                .sort()
+                .map(k => (query[k] === '' ? encodeRfc3986(k) : `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`))
+                .join('&');
+            url += `?${queryString}`;
+        }
+
+        return url;
+    }
+}
+
+function readXmlTag(xml, tag) {
+    const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+    if (!match) return null;
+    return match[1]
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
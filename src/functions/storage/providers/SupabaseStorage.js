@@ -3,7 +3,7 @@
  * 使用 Supabase Storage 作为文件存储后端
  */
 
-import { StorageProvider } from '../StorageManager.js';
+import { StorageProvider } from '../StorageProvider.js';
 
 export class SupabaseStorage extends StorageProvider {
     constructor(env) {
@@ -22,7 +22,7 @@ export class SupabaseStorage extends StorageProvider {
     async uploadFile(file, options = {}) {
         const fileName = options.fileName || this.generateFileId(file.name);
         const contentType = file.type || 'application/octet-stream';
-        const path = options.prefix ? `${options.prefix}/${fileName}` : fileName;
+        const path = this.buildObjectKey(fileName, options);
         
         console.log(`Supabase 存储: 上传文件 ${fileName} 到 ${path}, 大小: ${file.size}`);
 
@@ -112,6 +112,93 @@ export class SupabaseStorage extends StorageProvider {
         return `${this.supabaseUrl}${data.signedURL}`;
     }
 
+    /**
+     * 创建浏览器直传所需的签名上传URL
+     */
+    async createDirectUpload(fileName, contentType, options = {}) {
+        const path = options.fileName || this.generateFileId(fileName);
+        const url = `${this.baseUrl}/object/upload/sign/${this.bucket}/${path}`;
+
+        const headers = {
+            'Authorization': `Bearer ${this.serviceRoleKey || this.anonKey}`,
+            'apikey': this.serviceRoleKey || this.anonKey
+        };
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`获取签名上传URL失败: ${response.status} ${errorData.message || response.statusText}`);
+        }
+
+        const data = await response.json();
+        return {
+            fileId: path,
+            uploadUrl: `${this.baseUrl}${data.url}`,
+            method: 'PUT',
+            headers: { 'Content-Type': contentType },
+            // Supabase 签名上传URL固定两小时有效
+            expiresIn: 7200
+        };
+    }
+
+    /**
+     * 通过认证接口读取对象，存储桶或对象不公开时也能由 fileHandler 代理访问
+     */
+    async getObject(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}/object/authenticated/${this.bucket}/${path}`, {
+            headers: {
+                'Authorization': `Bearer ${this.serviceRoleKey || this.anonKey}`,
+                'apikey': this.serviceRoleKey || this.anonKey,
+                ...(options.range ? { 'Range': options.range } : {})
+            }
+        });
+        // Supabase 对不存在的对象可能返回 400
+        if (response.status === 404 || response.status === 400) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Supabase 读取文件失败: ${response.status}`);
+        }
+
+        const headers = new Headers();
+        for (const name of ['content-type', 'content-length', 'content-range', 'etag', 'last-modified']) {
+            const value = response.headers.get(name);
+            if (value) headers.set(name, value);
+        }
+        return new Response(response.body, { status: response.status === 206 ? 206 : 200, headers });
+    }
+
+    /**
+     * 查询对象信息，直传完成时据此确认文件已上传及其实际大小；对象不存在时返回 null
+     */
+    async headObject(path) {
+        const response = await fetch(`${this.baseUrl}/object/authenticated/${this.bucket}/${path}`, {
+            method: 'HEAD',
+            headers: {
+                'Authorization': `Bearer ${this.serviceRoleKey || this.anonKey}`,
+                'apikey': this.serviceRoleKey || this.anonKey
+            }
+        });
+        // Supabase 对不存在的对象可能返回 400
+        if (response.status === 404 || response.status === 400) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Supabase HEAD 请求失败: ${response.status}`);
+        }
+
+        return {
+            key: path,
+            size: parseInt(response.headers.get('content-length') || '0', 10),
+            etag: response.headers.get('etag'),
+            contentType: response.headers.get('content-type')
+        };
+    }
+
     async deleteFile(fileId) {
         try {
             const url = `${this.baseUrl}/object/${this.bucket}/${fileId}`;
@@ -206,7 +293,8 @@ export class SupabaseStorage extends StorageProvider {
                     maxFileSize: '50MB (免费版) / 5GB (付费版)',
                     supportedFormats: '所有格式',
                     deleteSupport: true,
-                    signedUrlSupport: true
+                    signedUrlSupport: true,
+                    directUploadSupport: true
                 }
             };
         } catch (error) {
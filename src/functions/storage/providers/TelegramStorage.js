@@ -3,7 +3,16 @@
  * 使用 Telegram Bot API 作为文件存储后端
  */
 
-import { StorageProvider } from '../StorageManager.js';
+import { StorageProvider } from '../StorageProvider.js';
+import { parseRange } from '../../utils/httpRange.js';
+import { parseSize } from '../../utils/size.js';
+
+// Bot API 的 getFile 只能下载不超过 20MB 的文件，超过该大小的文件需要分片存储
+const MAX_CHUNK_SIZE = 20 * 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 19 * 1024 * 1024;
+// 分片过小会产生大量 sendDocument 请求和过大的分片清单
+const MIN_CHUNK_SIZE = 1024 * 1024;
+const MANIFEST_PREFIX = 'telegram:manifest:';
 
 export class TelegramStorage extends StorageProvider {
     constructor(env) {
@@ -11,6 +20,7 @@ export class TelegramStorage extends StorageProvider {
         this.botToken = env.TG_Bot_Token;
         this.chatId = env.TG_Chat_ID;
         this.baseUrl = `https://api.telegram.org/bot${this.botToken}`;
+        this.chunkSize = Math.min(Math.max(parseSize(env.TG_CHUNK_SIZE) ?? DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
         
         if (!this.botToken || !this.chatId) {
             throw new Error('Telegram 存储需要配置 TG_Bot_Token 和 TG_Chat_ID');
@@ -26,6 +36,10 @@ export class TelegramStorage extends StorageProvider {
         
         console.log(`Telegram 存储: 上传文件 ${fileName}, 大小: ${file.size}`);
 
+        if (file.size > this.chunkSize) {
+            return await this.uploadChunkedFile(file, options);
+        }
+
         // 检测文件类型并选择合适的 API 端点
         const { apiEndpoint, formFieldName } = this.getApiEndpoint(file);
         
@@ -68,6 +82,175 @@ export class TelegramStorage extends StorageProvider {
         }
     }
 
+    /**
+     * 分片上传大文件
+     * 每个分片作为独立文档发送，分片的 file_id 按顺序记录在 KV 清单中
+     */
+    async uploadChunkedFile(file, options = {}) {
+        if (!this.env.img_url) {
+            throw new Error('Telegram 分片存储需要绑定 img_url KV 命名空间');
+        }
+
+        const fileKey = this.generateFileId(file.name);
+        const chunkCount = Math.ceil(file.size / this.chunkSize);
+        const chunks = [];
+
+        console.log(`Telegram 存储: 文件 ${file.name} 超过 ${this.chunkSize} 字节，分为 ${chunkCount} 个分片上传`);
+
+        for (let index = 0; index < chunkCount; index++) {
+            const start = index * this.chunkSize;
+            const end = Math.min(start + this.chunkSize, file.size);
+
+            const formData = new FormData();
+            formData.append("chat_id", this.chatId);
+            formData.append("document", file.slice(start, end), `${fileKey}.part${index}`);
+            formData.append("disable_content_type_detection", "true");
+
+            const result = await this.sendToTelegram(formData, 'sendDocument');
+            if (!result.success) {
+                throw new Error(`分片 ${index + 1}/${chunkCount} 上传失败: ${result.error}`);
+            }
+
+            const chunkFileId = this.extractFileId(result.data);
+            if (!chunkFileId) {
+                throw new Error(`无法从 Telegram 响应中提取分片 ${index + 1} 的文件ID`);
+            }
+
+            chunks.push({ fileId: chunkFileId, size: end - start });
+        }
+
+        const manifest = {
+            fileName: file.name,
+            size: file.size,
+            type: file.type || 'application/octet-stream',
+            chunkSize: this.chunkSize,
+            chunks: chunks,
+            createdAt: Date.now()
+        };
+        await this.env.img_url.put(`${MANIFEST_PREFIX}${fileKey}`, JSON.stringify(manifest));
+
+        return {
+            fileId: fileKey,
+            originalName: file.name,
+            size: file.size,
+            type: file.type,
+            url: `/file/${fileKey}`,
+            chunked: true,
+            chunkCount: chunkCount,
+            provider: 'telegram'
+        };
+    }
+
+    /**
+     * 读取分片清单，非分片文件返回 null
+     */
+    async getManifest(fileId) {
+        if (!this.env.img_url) return null;
+        return await this.env.img_url.get(`${MANIFEST_PREFIX}${fileId}`, { type: 'json' });
+    }
+
+    /**
+     * 读取文件并构造响应，供 fileHandler 使用
+     * 分片文件按顺序拼接各分片，支持单个 Range 请求；普通文件直接代理下载地址
+     */
+    async getObject(fileId, options = {}) {
+        const manifest = await this.getManifest(fileId);
+        if (!manifest) {
+            const realFileId = fileId.includes('.') ? fileId.split('.')[0] : fileId;
+            const filePath = await this.getFilePath(realFileId);
+            if (!filePath) {
+                return null;
+            }
+
+            const headers = options.range ? { 'Range': options.range } : {};
+            const response = await fetch(`https://api.telegram.org/file/bot${this.botToken}/${filePath}`, { headers });
+            return response.ok ? response : null;
+        }
+
+        const headers = new Headers();
+        headers.set('Content-Type', manifest.type);
+        headers.set('Accept-Ranges', 'bytes');
+
+        const range = parseRange(options.range, manifest.size);
+        if (range === false) {
+            headers.set('Content-Range', `bytes */${manifest.size}`);
+            return new Response(null, { status: 416, headers });
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : manifest.size - 1;
+        const length = end - start + 1;
+
+        headers.set('Content-Length', String(length));
+        if (range) {
+            headers.set('Content-Range', `bytes ${start}-${end}/${manifest.size}`);
+        }
+
+        let body = this.streamChunks(manifest, start, end);
+        if (typeof FixedLengthStream === 'function') {
+            // Workers 中普通 ReadableStream 会以 chunked 编码返回，使用 FixedLengthStream 保留 Content-Length
+            const fixed = new FixedLengthStream(length);
+            body.pipeTo(fixed.writable).catch(error => console.error('Telegram 分片传输中断:', error));
+            body = fixed.readable;
+        }
+
+        return new Response(body, { status: range ? 206 : 200, headers });
+    }
+
+    /**
+     * 按顺序下载 [start, end] 字节范围覆盖的分片，逐个写入流中
+     */
+    streamChunks(manifest, start, end) {
+        const storage = this;
+        const ranges = [];
+        let offset = 0;
+        for (const chunk of manifest.chunks) {
+            const chunkEnd = offset + chunk.size - 1;
+            if (chunkEnd >= start && offset <= end) {
+                ranges.push({
+                    fileId: chunk.fileId,
+                    from: Math.max(start - offset, 0),
+                    to: Math.min(end, chunkEnd) - offset + 1
+                });
+            }
+            offset += chunk.size;
+        }
+
+        let index = 0;
+        return new ReadableStream({
+            async pull(controller) {
+                if (index >= ranges.length) {
+                    controller.close();
+                    return;
+                }
+
+                const { fileId, from, to } = ranges[index++];
+                try {
+                    const data = await storage.downloadChunk(fileId);
+                    controller.enqueue(data.subarray(from, to));
+                } catch (error) {
+                    controller.error(error);
+                }
+            }
+        });
+    }
+
+    /**
+     * 下载单个分片
+     */
+    async downloadChunk(fileId) {
+        const filePath = await this.getFilePath(fileId);
+        if (!filePath) {
+            throw new Error(`无法获取分片路径: ${fileId}`);
+        }
+
+        const response = await fetch(`https://api.telegram.org/file/bot${this.botToken}/${filePath}`);
+        if (!response.ok) {
+            throw new Error(`分片下载失败: HTTP ${response.status}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
     /**
      * 根据文件类型选择合适的 API 端点
      */
@@ -183,7 +366,7 @@ export class TelegramStorage extends StorageProvider {
     async deleteFile(fileId) {
         // Telegram Bot API 不支持删除已发送的文件
         console.warn('Telegram 存储不支持删除文件操作');
-        return { success: false, message: 'Telegram 不支持删除已上传的文件' };
+        return { success: false, unsupported: true, message: 'Telegram 不支持删除已上传的文件' };
     }
 
     /**
@@ -227,10 +410,12 @@ export class TelegramStorage extends StorageProvider {
                 provider: 'telegram',
                 chatId: this.chatId,
                 chatInfo: chatInfo,
+                chunkSize: this.chunkSize,
                 limitations: {
-                    maxFileSize: '50MB (文档) / 20MB (照片)',
+                    maxFileSize: `不限 (超过 ${Math.round(this.chunkSize / 1024 / 1024)}MB 的文件分片存储)`,
                     supportedFormats: '所有格式',
-                    deleteSupport: false
+                    deleteSupport: false,
+                    rangeSupport: true
                 }
             };
         } catch (error) {
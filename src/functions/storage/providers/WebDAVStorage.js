@@ -0,0 +1,392 @@
+/**
+ * WebDAV 存储提供商
+ * 支持 Nextcloud、群晖等提供 WebDAV 接口的存储，使用 Basic 或 Digest 认证
+ */
+
+import { StorageProvider } from '../StorageProvider.js';
+
+export class WebDAVStorage extends StorageProvider {
+    constructor(env) {
+        super(env);
+        this.baseUrl = (env.WEBDAV_URL || '').replace(/\/+$/, '');
+        this.username = env.WEBDAV_USERNAME;
+        this.password = env.WEBDAV_PASSWORD;
+        // auto: 先尝试 Basic，服务器要求 Digest 时自动切换
+        this.authMode = (env.WEBDAV_AUTH || 'auto').toLowerCase();
+        this.publicUrl = env.WEBDAV_PUBLIC_URL ? env.WEBDAV_PUBLIC_URL.replace(/\/+$/, '') : '';
+        this.datePrefix = String(env.WEBDAV_DATE_PREFIX || 'true').toLowerCase() !== 'false';
+
+        this.digestChallenge = null;
+        this.nonceCount = 0;
+        this.knownCollections = new Set();
+
+        if (!this.baseUrl || !this.username || !this.password) {
+            throw new Error('WebDAV 存储需要配置 WEBDAV_URL, WEBDAV_USERNAME 和 WEBDAV_PASSWORD');
+        }
+    }
+
+    async uploadFile(file, options = {}) {
+        const fileName = options.fileName || this.generateFileId(file.name);
+        const contentType = file.type || 'application/octet-stream';
+        const key = this.buildObjectKey(fileName, options);
+        const remotePath = this.resolvePath(key);
+
+        console.log(`WebDAV 存储: 上传文件 ${fileName} 到 ${remotePath}, 大小: ${file.size}`);
+
+        try {
+            await this.ensureCollections(remotePath);
+
+            const fileBuffer = await file.arrayBuffer();
+            const response = await this.request('PUT', remotePath, {
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': fileBuffer.byteLength.toString()
+                },
+                body: fileBuffer
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`WebDAV PUT 请求失败: ${response.status} ${errorText}`);
+            }
+
+            return {
+                fileId: key,
+                originalName: file.name,
+                size: file.size,
+                type: contentType,
+                url: this.publicUrl ? `${this.publicUrl}${remotePath}` : `/file/${key}`,
+                provider: 'webdav',
+                path: remotePath,
+                etag: response.headers.get('etag')
+            };
+        } catch (error) {
+            console.error('WebDAV 上传失败:', error);
+            throw new Error(`WebDAV 上传失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 将文件键映射为服务器上的路径
+     * 未指定前缀的文件按上传时间放入 YYYY/MM/DD 目录，时间取自文件ID中的时间戳
+     */
+    resolvePath(key) {
+        if (key.includes('/') || !this.datePrefix) {
+            return `/${key}`;
+        }
+
+        const match = /^(\d{13})_/.exec(key);
+        if (!match) {
+            return `/${key}`;
+        }
+
+        const date = new Date(parseInt(match[1], 10));
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `/${year}/${month}/${day}/${key}`;
+    }
+
+    /**
+     * 逐级创建目标文件所在的集合 (目录)
+     */
+    async ensureCollections(remotePath) {
+        const segments = remotePath.split('/').filter(Boolean).slice(0, -1);
+        let current = '';
+
+        for (const segment of segments) {
+            current += `/${segment}`;
+            if (this.knownCollections.has(current)) continue;
+
+            const response = await this.request('MKCOL', `${current}/`);
+            // 201 新建成功；405 表示集合已存在
+            if (response.status !== 201 && response.status !== 405 && !response.ok) {
+                throw new Error(`创建目录 ${current} 失败: ${response.status}`);
+            }
+            this.knownCollections.add(current);
+        }
+    }
+
+    /**
+     * 读取文件并直接构造响应，WebDAV 通常需要认证，因此由 fileHandler 代理
+     */
+    async getObject(fileId, options = {}) {
+        const response = await this.request('GET', this.resolvePath(fileId), {
+            headers: options.range ? { 'Range': options.range } : {}
+        });
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`WebDAV GET 请求失败: ${response.status}`);
+        }
+
+        // 服务器不支持 Range 时返回 200 完整内容，由 fileHandler 截取
+        const headers = new Headers();
+        for (const name of ['content-type', 'content-length', 'content-range', 'etag', 'last-modified']) {
+            const value = response.headers.get(name);
+            if (value) headers.set(name, value);
+        }
+
+        return new Response(response.body, { status: response.status === 206 ? 206 : 200, headers });
+    }
+
+    async listFiles(prefix = '') {
+        const collection = `/${prefix}`.replace(/\/+$/, '') + '/';
+        const response = await this.request('PROPFIND', collection, {
+            headers: { 'Depth': '1', 'Content-Type': 'application/xml; charset=utf-8' },
+            body: PROPFIND_BODY
+        });
+
+        if (response.status !== 207) {
+            throw new Error(`列出文件失败: ${response.status}`);
+        }
+
+        // 结果中包含集合自身，需要排除
+        const collectionPath = decodeURIComponent(new URL(this.toUrl(collection)).pathname).replace(/\/+$/, '');
+        return parseMultistatus(await response.text())
+            .filter(entry => entry.path.replace(/\/+$/, '') !== collectionPath);
+    }
+
+    async deleteFile(fileId) {
+        try {
+            const response = await this.request('DELETE', this.resolvePath(fileId));
+
+            if (response.ok || response.status === 404) {
+                return { success: true, message: '文件删除成功' };
+            } else {
+                const errorText = await response.text();
+                throw new Error(`删除失败: ${response.status} ${errorText}`);
+            }
+        } catch (error) {
+            console.error('WebDAV 删除文件失败:', error);
+            return { success: false, message: error.message };
+        }
+    }
+
+    async getFileUrl(fileId, options = {}) {
+        if (this.publicUrl) {
+            return `${this.publicUrl}${this.resolvePath(fileId)}`;
+        }
+
+        return `/file/${fileId}`;
+    }
+
+    async healthCheck() {
+        try {
+            const response = await this.request('PROPFIND', '/', {
+                headers: { 'Depth': '0', 'Content-Type': 'application/xml; charset=utf-8' },
+                body: PROPFIND_BODY
+            });
+
+            if (response.status === 207) {
+                return {
+                    status: 'healthy',
+                    message: 'WebDAV 连接正常',
+                    url: this.baseUrl,
+                    auth: this.digestChallenge ? 'digest' : 'basic'
+                };
+            } else {
+                return {
+                    status: 'unhealthy',
+                    message: `WebDAV 连接失败: ${response.status}`
+                };
+            }
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `WebDAV 健康检查失败: ${error.message}`
+            };
+        }
+    }
+
+    async getStats() {
+        return {
+            provider: 'webdav',
+            url: this.baseUrl,
+            authMode: this.authMode,
+            datePrefix: this.datePrefix,
+            limitations: {
+                maxFileSize: '取决于服务器配置',
+                supportedFormats: '所有格式',
+                deleteSupport: true
+            }
+        };
+    }
+
+    toUrl(path) {
+        const encoded = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+        return `${this.baseUrl}${encoded}`;
+    }
+
+    /**
+     * 发送带认证的 WebDAV 请求
+     * 收到 Digest 质询时计算摘要并重试一次
+     */
+    async request(method, path, { headers = {}, body } = {}) {
+        const url = this.toUrl(path);
+        const send = async () => {
+            const authorization = await this.buildAuthorization(method, new URL(url).pathname);
+            return await fetch(url, {
+                method: method,
+                headers: authorization ? { ...headers, 'Authorization': authorization } : headers,
+                body: body
+            });
+        };
+
+        let response = await send();
+
+        if (response.status === 401 && this.authMode !== 'basic') {
+            const challenge = parseDigestChallenge(response.headers.get('www-authenticate'));
+            if (challenge) {
+                this.digestChallenge = challenge;
+                this.nonceCount = 0;
+                response = await send();
+            }
+        }
+
+        return response;
+    }
+
+    async buildAuthorization(method, uri) {
+        if (this.authMode === 'basic' || (this.authMode === 'auto' && !this.digestChallenge)) {
+            return `Basic ${btoa(`${this.username}:${this.password}`)}`;
+        }
+
+        if (!this.digestChallenge) {
+            // 强制 Digest 模式下第一次请求不带认证，等待服务器质询
+            return null;
+        }
+
+        const { realm, nonce, opaque, qop, algorithm } = this.digestChallenge;
+        const hash = algorithm.startsWith('SHA-256') ? sha256Hex : md5Hex;
+        const nc = (++this.nonceCount).toString(16).padStart(8, '0');
+        const cnonce = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+
+        let ha1 = await hash(`${this.username}:${realm}:${this.password}`);
+        if (algorithm.endsWith('-sess')) {
+            ha1 = await hash(`${ha1}:${nonce}:${cnonce}`);
+        }
+        const ha2 = await hash(`${method}:${uri}`);
+        const response = qop
+            ? await hash(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : await hash(`${ha1}:${nonce}:${ha2}`);
+
+        const parts = [
+            `username="${this.username}"`,
+            `realm="${realm}"`,
+            `nonce="${nonce}"`,
+            `uri="${uri}"`,
+            `algorithm=${algorithm}`,
+            `response="${response}"`
+        ];
+        if (qop) parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+        if (opaque) parts.push(`opaque="${opaque}"`);
+
+        return `Digest ${parts.join(', ')}`;
+    }
+}
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+    '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getcontentlength/><d:getlastmodified/><d:getetag/></d:prop></d:propfind>';
+
+function parseDigestChallenge(header) {
+    if (!header || !/^\s*Digest\s/i.test(header)) {
+        return null;
+    }
+
+    const params = {};
+    const pattern = /(\w+)=(?:"([^"]*)"|([^,\s]+))/g;
+    let match;
+    while ((match = pattern.exec(header)) !== null) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+
+    const qopOptions = (params.qop || '').split(',').map(s => s.trim());
+    return {
+        realm: params.realm || '',
+        nonce: params.nonce || '',
+        opaque: params.opaque || null,
+        qop: qopOptions.includes('auth') ? 'auth' : null,
+        algorithm: (params.algorithm || 'MD5').toUpperCase()
+    };
+}
+
+/**
+ * 解析 PROPFIND 返回的 multistatus XML (Workers 中没有 DOMParser)
+ */
+function parseMultistatus(xml) {
+    const entries = [];
+    const responses = xml.match(/<(?:\w+:)?response[\s>][\s\S]*?<\/(?:\w+:)?response>/gi) || [];
+
+    for (const block of responses) {
+        const pick = (tag) => {
+            const match = new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)<\\/(?:\\w+:)?${tag}>`, 'i').exec(block);
+            return match ? match[1].trim() : null;
+        };
+
+        const path = decodeURIComponent((pick('href') || '').replace(/^https?:\/\/[^/]+/i, ''));
+        entries.push({
+            path: path,
+            key: path.split('/').filter(Boolean).pop() || '',
+            isCollection: /<(?:\w+:)?collection\s*\/?>/i.test(block),
+            size: parseInt(pick('getcontentlength') || '0', 10),
+            lastModified: pick('getlastmodified'),
+            etag: pick('getetag')
+        });
+    }
+
+    return entries;
+}
+
+async function sha256Hex(data) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * MD5 摘要 (Digest 认证默认算法，WebCrypto 标准中不提供 MD5)
+ */
+async function md5Hex(data) {
+    const bytes = new TextEncoder().encode(data);
+    const length = bytes.length;
+    const paddedLength = (((length + 8) >> 6) + 1) << 6;
+    const buffer = new Uint8Array(paddedLength);
+    buffer.set(bytes);
+    buffer[length] = 0x80;
+    const view = new DataView(buffer.buffer);
+    view.setUint32(paddedLength - 8, (length * 8) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(length / 0x20000000), true);
+
+    const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+    const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+    let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        let a = a0, b = b0, c = c0, d = d0;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) { f = (b & c) | (~b & d); g = i; }
+            else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+            else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+            else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+
+            const shift = shifts[(i >> 4) * 4 + (i % 4)];
+            const sum = (a + f + constants[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+        }
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    return [a0, b0, c0, d0]
+        .map(word => Array.from({ length: 4 }, (_, i) => ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0')).join(''))
+        .join('');
+}
@@ -0,0 +1,86 @@
+/**
+ * 内置存储提供商注册
+ * 注册顺序即 StorageManager 初始化和 /api/storage/providers 返回的顺序
+ */
+
+import { registerStorageProvider } from '../ProviderRegistry.js';
+import { TelegramStorage } from './TelegramStorage.js';
+import { S3Storage } from './S3Storage.js';
+import { MinIOStorage } from './MinIOStorage.js';
+import { SupabaseStorage } from './SupabaseStorage.js';
+import { R2Storage } from './R2Storage.js';
+import { WebDAVStorage } from './WebDAVStorage.js';
+import { AzureBlobStorage } from './AzureBlobStorage.js';
+import { LocalStorage } from './LocalStorage.js';
+
+registerStorageProvider({
+    name: 'telegram',
+    displayName: 'Telegram',
+    requiredEnv: ['TG_Bot_Token', 'TG_Chat_ID'],
+    // 大文件按 TG_CHUNK_SIZE 分片存储
+    capabilities: { rangeReads: true, multipart: true },
+    create: (env) => new TelegramStorage(env)
+});
+
+registerStorageProvider({
+    name: 's3',
+    displayName: 'S3',
+    requiredEnv: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET'],
+    capabilities: { delete: true, signedUrls: true, rangeReads: true, listing: true, multipart: true, directUpload: true },
+    create: (env) => new S3Storage(env)
+});
+
+registerStorageProvider({
+    name: 'minio',
+    displayName: 'MinIO',
+    requiredEnv: ['MINIO_ENDPOINT', 'MINIO_ACCESS_KEY', 'MINIO_SECRET_KEY', 'MINIO_BUCKET'],
+    capabilities: { delete: true, signedUrls: true, rangeReads: true, listing: true, multipart: true, directUpload: true },
+    create: (env) => new MinIOStorage(env)
+});
+
+registerStorageProvider({
+    name: 'supabase',
+    displayName: 'Supabase',
+    requiredEnv: ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'SUPABASE_BUCKET'],
+    capabilities: { delete: true, signedUrls: true, rangeReads: true, listing: true, directUpload: true },
+    create: (env) => new SupabaseStorage(env)
+});
+
+// Cloudflare R2 使用 Worker 绑定
+registerStorageProvider({
+    name: 'r2',
+    displayName: 'Cloudflare R2',
+    requiredEnv: ['R2_BUCKET'],
+    capabilities: { delete: true, rangeReads: true, listing: true },
+    create: (env) => new R2Storage(env)
+});
+
+registerStorageProvider({
+    name: 'webdav',
+    displayName: 'WebDAV',
+    requiredEnv: ['WEBDAV_URL', 'WEBDAV_USERNAME', 'WEBDAV_PASSWORD'],
+    capabilities: { delete: true, listing: true },
+    create: (env) => new WebDAVStorage(env)
+});
+
+// Azure Blob 支持账户密钥、SAS 令牌或连接字符串
+registerStorageProvider({
+    name: 'azure',
+    displayName: 'Azure Blob',
+    isConfigured: (env) => {
+        const config = AzureBlobStorage.resolveConfig(env);
+        return Boolean(env.AZURE_STORAGE_CONTAINER && config.accountName && (config.accountKey || config.sasToken));
+    },
+    capabilities: { delete: true, signedUrls: true, rangeReads: true, listing: true, multipart: true },
+    create: (env) => new AzureBlobStorage(env)
+});
+
+// 本地存储 (Node 下使用磁盘目录或进程内存，Workers 中只有设置 LOCAL_STORAGE_MEMORY 时才启用)
+registerStorageProvider({
+    name: 'local',
+    displayName: '本地存储',
+    isConfigured: (env) => (Boolean(env.LOCAL_STORAGE_DIR) || env.DEFAULT_STORAGE_PROVIDER === 'local') &&
+        LocalStorage.isSupported(env),
+    capabilities: { delete: true, listing: true },
+    create: (env) => new LocalStorage(env)
+});
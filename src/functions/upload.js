@@ -1,6 +1,12 @@
 import { errorHandling, telemetryData } from "./utils/middleware";
 import { authMiddleware } from "./utils/auth";
 import { StorageManager } from "./storage/StorageManager.js";
+import { attachUserStorage, USER_STORAGE_PROVIDER } from "./storage/UserStorage.js";
+import { isEncryptedUploadEnabled, isEncryptedPayload, toEncryptedFile } from "./utils/encryption.js";
+import { saveFileRecord, getUploadedFileUrl } from "./utils/fileRecords.js";
+import { uploadDeduplicated, addHashReference } from "./storage/Deduplication.js";
+import { checkQuota, QUOTA_EXCEEDED } from "./storage/Usage.js";
+import { parseMaxFileSize } from "./utils/size.js";
 
 // 添加认证中间件包装
 export const authenticatedUpload = async (c) => {
@@ -43,22 +49,22 @@ export async function upload(c) {
 
         if (debug) console.log(`接收到${files.length}个文件上传请求`);
 
-        // 初始化存储管理器
+        // 客户端加密上传：文件已在浏览器中加密，服务器只保存密文
+        const encrypted = String(formData.get('encrypted') || '').toLowerCase() === 'true';
+        if (encrypted && !isEncryptedUploadEnabled(env)) {
+            return c.json({ error: '未开启加密上传' }, 400);
+        }
+
+        // 初始化存储管理器，已绑定自有存储的用户同时加载其存储
         const storageManager = new StorageManager(env);
+        const hasUserStorage = await attachUserStorage(env, storageManager, userId);
 
-        // 获取存储提供商选择 (默认使用 Telegram 保持向后兼容)
-        const provider = formData.get('provider') || env.DEFAULT_STORAGE_PROVIDER || 'telegram';
+        // 获取存储提供商选择 (绑定了自有存储的用户默认上传到自己的存储桶，否则默认使用 Telegram 保持向后兼容)
+        const provider = formData.get('provider') ||
+            (hasUserStorage ? USER_STORAGE_PROVIDER : env.DEFAULT_STORAGE_PROVIDER || 'telegram');
 
         // 读取并解析上传限制
-        const maxFileSize = (() => {
-            const raw = env.MAX_FILE_SIZE || '50MB';
-            const m = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i.exec(raw);
-            if (!m) return 50 * 1024 * 1024;
-            const value = parseFloat(m[1]);
-            const unit = (m[2] || 'MB').toUpperCase();
-            const map = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
-            return Math.floor(value * (map[unit] || map.MB));
-        })();
+        const maxFileSize = parseMaxFileSize(env);
 
         const allowedTypes = (env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,image/webp')
             .split(',')
@@ -80,75 +86,86 @@ export async function upload(c) {
                 continue;
             }
 
-            // 校验类型
-            const mime = (uploadFile.type || '').toLowerCase();
-            const ext = (fileName || '').split('.').pop()?.toLowerCase() || '';
-            const typeAllowed = allowedTypes.length === 0 || allowedTypes.some(t => t === mime || mime.startsWith(t + '/') || t === ext || t === '*/*');
-            if (!typeAllowed) {
-                validationErrors.push({ fileName, error: '文件类型不被允许' });
+            // 校验类型，加密文件无法识别内容类型，只校验密文格式
+            if (encrypted) {
+                if (!(await isEncryptedPayload(uploadFile))) {
+                    validationErrors.push({ fileName, error: '不是有效的加密文件' });
+                    continue;
+                }
+            } else {
+                const mime = (uploadFile.type || '').toLowerCase();
+                const ext = (fileName || '').split('.').pop()?.toLowerCase() || '';
+                const typeAllowed = allowedTypes.length === 0 || allowedTypes.some(t => t === mime || mime.startsWith(t + '/') || t === ext || t === '*/*');
+                if (!typeAllowed) {
+                    validationErrors.push({ fileName, error: '文件类型不被允许' });
+                    continue;
+                }
+            }
+
+            // 校验存储配额
+            const quotaError = await checkQuota(env, userId, { bytes: uploadFile.size, provider });
+            if (quotaError) {
+                validationErrors.push({ fileName, error: quotaError.message, code: quotaError.code });
                 continue;
             }
 
             try {
-                // 使用新的存储管理器上传文件
-                const result = await storageManager.uploadFile(uploadFile, {
+                // 使用新的存储管理器上传文件，相同内容复用已有对象
+                const storedFile = encrypted ? toEncryptedFile(uploadFile) : uploadFile;
+                const result = await uploadDeduplicated(env, storageManager, storedFile, {
                     provider: provider,
+                    // 已登录用户的文件可能被设为私有，不设置公开读取 ACL
+                    public: !userId,
                     metadata: {
                         userId: userId || "anonymous",
                         uploadedBy: user ? (user.username || user.email) : "anonymous"
                     }
-                });
+                }, userId);
 
                 const fileKey = result.fileId;
                 const timestamp = result.timestamp || Date.now();
+                const fileUrl = encrypted ? `/file/${fileKey}` : getUploadedFileUrl({ fileKey, url: result.url, userId });
 
                 if (debug) console.log(`文件 ${fileName} 上传成功，文件键: ${fileKey}`);
 
                 // 保存文件元数据到 KV 存储
-                if (env.img_url) {
-                    const metadata = {
-                        TimeStamp: timestamp,
-                        ListType: "None",
-                        Label: "None",
-                        liked: false,
-                        fileName: fileName,
-                        fileSize: uploadFile.size,
-                        fileType: uploadFile.type,
-                        provider: result.provider,
-                        userId: userId || "anonymous"
-                    };
-
-                    // 单文件元数据索引：file:{fileKey}
-                    await env.img_url.put(`file:${fileKey}`, "", { metadata });
-
-                    // 如果是已登录用户，将文件添加到用户的文件列表中
-                    if (userId) {
-                        // 将文件ID追加到分片列表中以便分页：user:{userId}:files:index
-                        const indexKey = `user:${userId}:files:index`;
-                        const index = await env.img_url.get(indexKey, { type: 'json' }) || { ids: [], total: 0 };
-                        index.ids.push(fileKey);
-                        index.total = (index.total || 0) + 1;
-                        await env.img_url.put(indexKey, JSON.stringify(index));
-
-                        // 为该用户建立条目 key：user:{userId}:file:{fileKey}
-                        const userFileKey = `user:${userId}:file:${fileKey}`;
-                        const userFileValue = JSON.stringify({
-                            id: fileKey,
-                            fileName: fileName,
-                            fileSize: uploadFile.size,
-                            fileType: uploadFile.type,
-                            provider: result.provider,
-                            uploadTime: timestamp,
-                            url: result.url
-                        });
-                        await env.img_url.put(userFileKey, userFileValue);
-                    } else {
-                        if (debug) console.log('匿名上传，不关联用户');
-                    }
+                await saveFileRecord(env, {
+                    fileKey: fileKey,
+                    fileName: fileName,
+                    fileSize: storedFile.size,
+                    fileType: storedFile.type,
+                    provider: result.provider,
+                    url: fileUrl,
+                    userId: userId,
+                    timestamp: timestamp,
+                    replicas: result.replicas,
+                    storedFileId: result.storedFileId,
+                    hash: result.hash,
+                    encrypted: encrypted,
+                    storageConfigId: result.storageConfigId,
+                    deduplicated: result.deduplicated
+                });
+                if (result.hash) {
+                    await addHashReference(env, result.hash, { fileKey, userId, result });
                 }
+                if (!userId && debug) console.log('匿名上传，不关联用户');
 
                 // 添加到上传结果 (保持原有格式以兼容前端)
-                uploadResults.push({ 'src': result.url });
+                const uploadResult = { 'src': fileUrl };
+                if (result.fallback) {
+                    console.warn(`文件 ${fileName} 已改用备用存储 ${result.provider} (原提供商: ${result.requestedProvider})`);
+                    uploadResult.provider = result.provider;
+                    uploadResult.fallback = true;
+                }
+                if (result.previousUpload) {
+                    uploadResult.duplicateOf = result.previousUpload;
+                }
+                if (encrypted) {
+                    // 加密文件通过 /file/:id 的解密页面查看，密钥由前端追加到链接的 # 片段
+                    uploadResult.encrypted = true;
+                    uploadResult.name = fileName;
+                }
+                uploadResults.push(uploadResult);
             } catch (error) {
                 console.error(`文件 ${fileName} 上传失败:`, error?.message || String(error));
                 // 继续处理其他文件
@@ -157,6 +174,10 @@ export async function upload(c) {
         }
 
         if (validationErrors.length && uploadResults.length === 0) {
+            const quotaError = validationErrors.find(item => item.code === QUOTA_EXCEEDED);
+            if (quotaError) {
+                return c.json({ error: quotaError.error, code: QUOTA_EXCEEDED, details: validationErrors }, 413);
+            }
             return c.json({ error: '部分或全部文件校验失败', details: validationErrors }, 400);
         }
 
@@ -3,6 +3,7 @@
  */
 import { generateToken, hashPassword, verifyPassword } from '../utils/auth';
 import { errorHandling, telemetryData } from '../utils/middleware';
+import { getUsageReport } from '../storage/Usage.js';
 
 // 用户注册
 export async function register(c) {
@@ -203,12 +204,8 @@ export async function getUserProfile(c) {
     
     const userFull = JSON.parse(userJson);
     
-    // 获取用户统计信息
-    const userFilesKey = `user:${user.id}:files`;
-    const userFiles = await c.env.img_url.get(userFilesKey, { type: "json" }) || [];
-    
-    const totalImages = userFiles.length;
-    const totalSize = userFiles.reduce((sum, file) => sum + (file.fileSize || 0), 0);
+    // 获取用户存储用量和配额
+    const usage = await getUsageReport(c.env, user.id);
     
     // 返回用户信息（不包含密码）
     const { password: _, ...userWithoutPassword } = userFull;
@@ -216,9 +213,10 @@ export async function getUserProfile(c) {
       user: {
         ...userWithoutPassword,
         stats: {
-          totalImages,
-          totalSize
-        }
+          totalImages: usage.files,
+          totalSize: usage.bytes
+        },
+        usage
       }
     });
   } catch (error) {
@@ -2,6 +2,7 @@
  * 用户收藏功能相关API
  */
 import { errorHandling, telemetryData } from '../utils/middleware';
+import { getFileLinks } from '../utils/signedUrl.js';
 
 // 获取用户收藏列表
 export async function getUserFavorites(c) {
@@ -43,8 +44,7 @@ export async function getUserFavorites(c) {
               uploadTime: fileData.metadata.TimeStamp || Date.now(),
               favoriteTime: fileData.metadata.favoriteTime || Date.now(),
               tags: fileData.metadata.tags || [],
-              url: `/file/${favoriteId}`,
-              thumbnailUrl: `/file/${favoriteId}`,
+              ...(await getFileLinks(c.env, favoriteId, fileData.metadata.private)),
               views: fileData.metadata.views || 0
             });
           }
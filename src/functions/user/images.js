@@ -2,6 +2,10 @@
  * 用户图片管理相关API
  */
 import { errorHandling, telemetryData } from '../utils/middleware';
+import { getFileRecord, deleteFileRecord, setFileVisibility } from '../utils/fileRecords.js';
+import { purgeFileCache } from '../utils/fileCache.js';
+import { isUrlSigningAvailable, resolveSignedUrlTtl, signFileUrl, getFileLinks } from '../utils/signedUrl.js';
+import { deleteStoredFile } from '../storage/DeletionQueue.js';
 
 // 获取用户图片列表
 export async function getUserImages(c) {
@@ -36,7 +40,9 @@ export async function getUserImages(c) {
 
     // 分页
     const totalFiles = userFiles.length;
-    const paginatedFiles = userFiles.slice(offset, offset + limit);
+    const paginatedFiles = await Promise.all(
+      userFiles.slice(offset, offset + limit).map(file => withImageLinks(c, file))
+    );
 
     return c.json({
       files: paginatedFiles,
@@ -69,33 +75,34 @@ export async function deleteUserImage(c) {
     }
 
     // 获取文件元数据
-    const fileMetadata = await c.env.img_url.getWithMetadata(fileId);
+    const record = await getFileRecord(c.env, fileId);
 
     // 检查文件是否存在
-    if (!fileMetadata || !fileMetadata.metadata) {
+    if (!record || !record.metadata) {
       return c.json({ error: '文件不存在' }, 404);
     }
 
     // 检查文件所有权
-    if (fileMetadata.metadata.userId !== userId) {
+    if (record.metadata.userId !== userId) {
       return c.json({ error: '无权删除此文件' }, 403);
     }
 
-    // 获取用户的文件列表
-    const userFilesKey = `user:${userId}:files`;
-    let userFiles = await c.env.img_url.get(userFilesKey, { type: "json" }) || [];
+    // 通过所属存储提供商删除实际文件，失败的删除会进入重试队列
+    const storage = await deleteStoredFile(c.env, fileId, record.metadata);
 
-    // 从列表中移除文件
-    userFiles = userFiles.filter(file => file.id !== fileId);
-
-    // 更新用户文件列表
-    await c.env.img_url.put(userFilesKey, JSON.stringify(userFiles));
+    // 删除文件元数据和用户文件条目
+    await deleteFileRecord(c.env, {
+      fileKey: fileId,
+      recordKey: record.key,
+      userId,
+      metadata: record.metadata,
+      shared: storage.some(location => location.status === 'shared')
+    });
 
-    // 删除文件元数据
-    // 注意：我们不会从Telegram删除文件，只是删除引用
-    await c.env.img_url.delete(fileId);
+    // 清除当前数据中心的文件缓存，其他数据中心的缓存因文件记录已删除不会再被返回
+    await purgeFileCache(c, fileId, record.metadata);
 
-    return c.json({ message: '文件删除成功' });
+    return c.json({ message: '文件删除成功', storage });
   } catch (error) {
     console.error('删除用户图片错误:', error);
     return c.json({ error: '删除用户图片失败' }, 500);
@@ -208,9 +215,84 @@ export async function searchUserImages(c) {
     // 按上传时间倒序排序
     userFiles.sort((a, b) => b.uploadTime - a.uploadTime);
 
-    return c.json({ files: userFiles });
+    return c.json({
+      files: await Promise.all(userFiles.map(file => withImageLinks(c, file)))
+    });
   } catch (error) {
     console.error('搜索用户图片错误:', error);
     return c.json({ error: '搜索用户图片失败' }, 500);
   }
 }
+
+// 设置图片是否私有，私有图片只能通过签名链接或由所有者登录后访问
+export async function setImageVisibility(c) {
+  try {
+    const user = c.get('user');
+    const fileId = c.req.param('id');
+    const body = await c.req.json().catch(() => null);
+
+    if (!body || typeof body.private !== 'boolean') {
+      return c.json({ error: 'private 必须是布尔值' }, 400);
+    }
+    if (body.private && !isUrlSigningAvailable(c.env)) {
+      return c.json({ error: '未配置签名密钥，无法设置私有图片' }, 500);
+    }
+
+    const record = await getFileRecord(c.env, fileId);
+    if (!record || !record.metadata) {
+      return c.json({ error: '文件不存在' }, 404);
+    }
+    if (record.metadata.userId !== user.id) {
+      return c.json({ error: '无权修改此文件' }, 403);
+    }
+
+    await setFileVisibility(c.env, { fileKey: fileId, record, userId: user.id, isPrivate: body.private });
+
+    return c.json({ message: body.private ? '图片已设为私有' : '图片已设为公开', id: fileId, private: body.private });
+  } catch (error) {
+    console.error('设置图片可见性错误:', error);
+    return c.json({ error: '设置图片可见性失败' }, 500);
+  }
+}
+
+// 生成带有效期的签名链接，ttl 为有效期 (秒)
+export async function createSignedImageUrl(c) {
+  try {
+    const user = c.get('user');
+    const fileId = c.req.param('id');
+    const body = await c.req.json().catch(() => ({}));
+
+    if (!isUrlSigningAvailable(c.env)) {
+      return c.json({ error: '未配置签名密钥' }, 500);
+    }
+
+    const { ttl, error } = resolveSignedUrlTtl(c.env, body?.ttl);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const record = await getFileRecord(c.env, fileId);
+    if (!record || !record.metadata) {
+      return c.json({ error: '文件不存在' }, 404);
+    }
+    if (record.metadata.userId !== user.id) {
+      return c.json({ error: '无权访问此文件' }, 403);
+    }
+
+    const { path, expiresAt } = await signFileUrl(c.env, fileId, ttl);
+    return c.json({
+      url: new URL(path, c.req.url).toString(),
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
+      ttl
+    });
+  } catch (error) {
+    console.error('生成签名链接错误:', error);
+    return c.json({ error: '生成签名链接失败' }, 500);
+  }
+}
+
+// 列表中的缩略图链接，私有图片使用签名链接
+async function withImageLinks(c, file) {
+  const links = await getFileLinks(c.env, file.id, file.private);
+  return file.private ? { ...file, ...links } : { ...file, thumbnailUrl: links.thumbnailUrl };
+}
@@ -0,0 +1,40 @@
+/**
+ * 用户偏好设置相关API
+ */
+import { loadUserSettings, normalizeUserSettings, storeUserSettings } from '../utils/userSettings.js';
+
+// 获取当前用户的设置
+export async function getUserSettings(c) {
+  try {
+    const user = c.get('user');
+    const settings = await loadUserSettings(c.env, user.id);
+
+    return c.json({ settings });
+  } catch (error) {
+    console.error('获取用户设置错误:', error);
+    return c.json({ error: '获取用户设置失败' }, 500);
+  }
+}
+
+// 更新当前用户的设置，未提交的字段保持不变
+export async function updateUserSettings(c) {
+  try {
+    const user = c.get('user');
+    const body = await c.req.json().catch(() => null);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return c.json({ error: '请求体必须是 JSON 对象' }, 400);
+    }
+
+    const current = await loadUserSettings(c.env, user.id);
+    const { settings, error } = normalizeUserSettings(body, current);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    await storeUserSettings(c.env, user.id, settings);
+    return c.json({ message: '设置已保存', settings });
+  } catch (error) {
+    console.error('更新用户设置错误:', error);
+    return c.json({ error: '更新用户设置失败' }, 500);
+  }
+}
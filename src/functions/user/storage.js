@@ -0,0 +1,99 @@
+/**
+ * 用户自有存储配置相关API
+ */
+import {
+  normalizeUserStorageConfig,
+  testUserStorageConfig,
+  loadUserStorageConfig,
+  getUserStorageSummary,
+  saveUserStorageConfig,
+  deleteUserStorageConfig,
+  USER_STORAGE_PROVIDER
+} from '../storage/UserStorage.js';
+
+// 获取当前用户的存储配置（不包含密钥）
+export async function getUserStorage(c) {
+  try {
+    const user = c.get('user');
+    const storage = await getUserStorageSummary(c.env, user.id);
+
+    return c.json({
+      provider: USER_STORAGE_PROVIDER,
+      configured: Boolean(storage),
+      storage
+    });
+  } catch (error) {
+    console.error('获取存储配置错误:', error);
+    return c.json({ error: '获取存储配置失败' }, 500);
+  }
+}
+
+// 测试存储配置的连接，不保存
+export async function testUserStorage(c) {
+  try {
+    const user = c.get('user');
+    const body = (await c.req.json().catch(() => null)) ?? {};
+
+    const existing = await loadUserStorageConfig(c.env, user.id).catch(() => null);
+    const { config, error } = normalizeUserStorageConfig(body, existing);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const health = await testUserStorageConfig(config);
+    return c.json({ healthy: health.status === 'healthy', health });
+  } catch (error) {
+    console.error('测试存储配置错误:', error);
+    return c.json({ error: '测试存储配置失败' }, 500);
+  }
+}
+
+// 保存存储配置，连接检查通过后才会保存
+export async function saveUserStorage(c) {
+  try {
+    const user = c.get('user');
+    const body = (await c.req.json().catch(() => null)) ?? {};
+
+    if (!c.env.STORAGE_ENCRYPTION_KEY) {
+      return c.json({ error: '服务器未配置 STORAGE_ENCRYPTION_KEY，暂不支持绑定自有存储' }, 503);
+    }
+
+    // 留空的密钥沿用已保存的值，修改端点等信息时无需重新填写
+    const existing = await loadUserStorageConfig(c.env, user.id).catch(() => null);
+    const { config, error } = normalizeUserStorageConfig(body, existing);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const health = await testUserStorageConfig(config);
+    if (health.status !== 'healthy') {
+      return c.json({ error: `存储连接检查未通过: ${health.message}`, health }, 400);
+    }
+
+    const storage = await saveUserStorageConfig(c.env, user.id, config);
+    console.log(`用户 ${user.id} 已绑定自有存储: ${config.type}`);
+
+    return c.json({
+      message: '存储配置已保存',
+      provider: USER_STORAGE_PROVIDER,
+      storage,
+      health
+    });
+  } catch (error) {
+    console.error('保存存储配置错误:', error);
+    return c.json({ error: '保存存储配置失败' }, 500);
+  }
+}
+
+// 解除绑定，已上传到自有存储的文件仍保留在用户的存储桶中
+export async function deleteUserStorage(c) {
+  try {
+    const user = c.get('user');
+    await deleteUserStorageConfig(c.env, user.id);
+
+    return c.json({ message: '已解除自有存储绑定' });
+  } catch (error) {
+    console.error('删除存储配置错误:', error);
+    return c.json({ error: '删除存储配置失败' }, 500);
+  }
+}
@@ -2,6 +2,7 @@
  * 用户标签管理相关API
  */
 import { errorHandling, telemetryData } from '../utils/middleware';
+import { getFileLinks } from '../utils/signedUrl.js';
 
 // 获取用户标签列表
 export async function getUserTags(c) {
@@ -22,7 +23,7 @@ export async function getUserTags(c) {
     const userFiles = await c.env.img_url.get(userFilesKey, { type: "json" }) || [];
 
     // 为每个标签计算图片数量和获取示例图片
-    userTags = userTags.map(tag => {
+    userTags = await Promise.all(userTags.map(async tag => {
       const taggedImages = userFiles.filter(file =>
         file.tags && file.tags.includes(tag.name)
       );
@@ -30,13 +31,13 @@ export async function getUserTags(c) {
       return {
         ...tag,
         imageCount: taggedImages.length,
-        images: taggedImages.slice(0, 5).map(file => ({
+        images: await Promise.all(taggedImages.slice(0, 5).map(async file => ({
           id: file.id,
-          thumbnailUrl: `/file/${file.id}`,
+          thumbnailUrl: (await getFileLinks(c.env, file.id, file.private)).thumbnailUrl,
           name: file.fileName || file.id
-        }))
+        })))
       };
-    });
+    }));
 
     // 按创建时间倒序排列
     userTags.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -457,16 +458,15 @@ export async function getTagImages(c) {
     );
 
     // 格式化图片信息
-    const images = taggedImages.map(file => ({
+    const images = await Promise.all(taggedImages.map(async file => ({
       id: file.id,
       fileName: file.fileName || file.id,
       fileSize: file.fileSize || 0,
       uploadTime: file.uploadTime || Date.now(),
-      url: `/file/${file.id}`,
-      thumbnailUrl: `/file/${file.id}`,
+      ...(await getFileLinks(c.env, file.id, file.private)),
       tags: file.tags || [],
       views: file.views || 0
-    }));
+    })));
 
     return c.json({
       tag: tag,
@@ -181,3 +181,20 @@ export async function authMiddleware(c, next) {
   
   return next();
 }
+
+// 管理员中间件：在认证基础上校验用户名是否在 ADMIN_USERNAMES 中
+export async function adminMiddleware(c, next) {
+  return authMiddleware(c, () => {
+    const user = c.get('user');
+    const admins = (c.env.ADMIN_USERNAMES || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    if (!user || !admins.includes(user.username)) {
+      return c.json({ error: '需要管理员权限' }, 403);
+    }
+
+    return next();
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * 客户端加密上传相关工具
+ * 文件在浏览器中加密 (public/js/encryption.js)，服务器只保存和返回密文，无法解密
+ */
+
+// 密文开头的格式标识，后面依次是 12 字节 IV 和 AES-GCM 密文 (至少包含 16 字节认证标签)
+export const ENCRYPTED_MAGIC = 'TGE1';
+const MIN_ENCRYPTED_SIZE = ENCRYPTED_MAGIC.length + 12 + 16;
+
+/**
+ * 是否允许加密上传 (默认关闭，ENCRYPTED_UPLOADS=true 时开启)
+ * 服务器无法查看密文内容，开启后加密文件只校验密文格式，不受 ALLOWED_FILE_TYPES 限制
+ */
+export function isEncryptedUploadEnabled(env) {
+    return String(env.ENCRYPTED_UPLOADS || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * 检查上传的文件是否为客户端加密格式
+ */
+export async function isEncryptedPayload(file) {
+    if (!file || file.size < MIN_ENCRYPTED_SIZE) return false;
+    const magic = new TextDecoder().decode(await file.slice(0, ENCRYPTED_MAGIC.length).arrayBuffer());
+    return magic === ENCRYPTED_MAGIC;
+}
+
+/**
+ * 统一以二进制类型保存密文，避免客户端声明的类型影响浏览器对响应的解析
+ */
+export function toEncryptedFile(file) {
+    return new File([file], file.name, { type: 'application/octet-stream' });
+}
@@ -0,0 +1,85 @@
+/**
+ * 文件响应的边缘缓存 (Workers Cache API)
+ * 缓存键由文件 id、文件版本 (内容哈希，没有哈希时为上传时间) 和变换参数组成，
+ * 文件被替换后版本随之变化，旧的缓存条目不会再被命中
+ *
+ * Cache API 只作用于当前数据中心，删除时的主动清除无法覆盖其他数据中心；
+ * 因此 fileHandler 总是先读取文件记录，已删除、已屏蔽的文件不会从缓存返回
+ */
+
+import { parseSize } from './size.js';
+import { getKnownVariants } from './imageTransform.js';
+
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 是否启用文件缓存 (FILE_CACHE_ENABLED=false 时关闭，运行环境没有 Cache API 时自动关闭)
+ */
+export function isFileCacheEnabled(env) {
+    if (String(env.FILE_CACHE_ENABLED || 'true').toLowerCase() === 'false') return false;
+    return typeof caches !== 'undefined' && Boolean(caches.default);
+}
+
+/**
+ * 生成缓存键
+ * variant 为变换参数 (如尺寸、格式)，参数按名称排序，保证相同变换对应同一个键
+ */
+export function getFileCacheKey(requestUrl, id, metadata, variant = {}) {
+    const url = new URL(`/file/${encodeURIComponent(id)}`, requestUrl);
+    url.searchParams.set('v', metadata?.hash || String(metadata?.TimeStamp || 0));
+    for (const name of Object.keys(variant).sort()) {
+        if (variant[name] !== undefined && variant[name] !== null && variant[name] !== '') {
+            url.searchParams.set(name, String(variant[name]));
+        }
+    }
+    return new Request(url.toString(), { method: 'GET' });
+}
+
+/**
+ * 查询缓存，未命中或缓存不可用时返回 null
+ */
+export async function matchFileCache(key) {
+    try {
+        return await caches.default.match(key) || null;
+    } catch (error) {
+        console.error('读取文件缓存失败:', error);
+        return null;
+    }
+}
+
+/**
+ * 在响应返回后写入缓存
+ * 只缓存完整内容 (200)，超过 FILE_CACHE_MAX_SIZE 或大小未知的响应不缓存
+ */
+export function putFileCache(c, key, response) {
+    if (response.status !== 200 || !response.body) return false;
+
+    const maxSize = parseSize(c.env.FILE_CACHE_MAX_SIZE) ?? DEFAULT_MAX_SIZE;
+    const size = parseInt(response.headers.get('Content-Length'), 10);
+    if (!(size > 0 && size <= maxSize)) return false;
+
+    const task = caches.default.put(key, response.clone())
+        .catch(error => console.error('写入文件缓存失败:', error));
+    try {
+        c.executionCtx.waitUntil(task);
+    } catch {
+        // 没有 ExecutionContext 的运行环境中直接在后台执行
+    }
+    return true;
+}
+
+/**
+ * 清除当前数据中心中文件的缓存条目
+ * variants 为需要一并清除的变换参数，默认清除原图和各预设尺寸及其各输出格式；自定义尺寸的条目随文件记录删除而失效
+ */
+export async function purgeFileCache(c, id, metadata, variants = getKnownVariants(c.env)) {
+    if (!isFileCacheEnabled(c.env)) return;
+
+    await Promise.all(variants.map(async variant => {
+        try {
+            await caches.default.delete(getFileCacheKey(c.req.url, id, metadata, variant));
+        } catch (error) {
+            console.error(`清除文件 ${id} 的缓存失败:`, error);
+        }
+    }));
+}
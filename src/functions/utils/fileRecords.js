@@ -0,0 +1,174 @@
+/**
+ * 文件元数据记录工具
+ * 上传完成后在 KV 中写入文件索引与用户文件列表，删除时清理对应条目，并同步更新存储用量
+ */
+
+import { recordUsage } from "../storage/Usage.js";
+
+/**
+ * 保存文件元数据
+ * file:{fileKey} 保存单文件元数据；已登录用户额外写入分页索引和用户文件条目
+ * replicas 为副本位置列表 [{ provider, fileId }]，主存储不可用时由 fileHandler 读取
+ * storedFileId 为存储中的实际对象 id (去重复用已有对象时与 fileKey 不同)，hash 为内容 SHA-256
+ * encrypted 表示文件在客户端加密，存储中只有密文
+ * storageConfigId 为上传时使用的用户自有存储配置 id，读取和删除时据此找到对应的存储桶
+ * deduplicated 表示复用了已存储的内容，只计入用户用量，不再重复计入提供商的总字节数
+ */
+export async function saveFileRecord(env, { fileKey, fileName, fileSize, fileType, provider, url, userId, timestamp, replicas, storedFileId, hash, encrypted, storageConfigId, deduplicated }) {
+    if (!env.img_url) return;
+
+    const uploadTime = timestamp || Date.now();
+    const metadata = {
+        TimeStamp: uploadTime,
+        ListType: "None",
+        Label: "None",
+        liked: false,
+        fileName: fileName,
+        fileSize: fileSize,
+        fileType: fileType,
+        provider: provider,
+        userId: userId || "anonymous"
+    };
+    if (replicas && replicas.length > 0) {
+        metadata.replicas = replicas;
+    }
+    if (storedFileId && storedFileId !== fileKey) {
+        metadata.fileId = storedFileId;
+    }
+    if (hash) {
+        metadata.hash = hash;
+    }
+    if (encrypted) {
+        metadata.encrypted = true;
+    }
+    if (storageConfigId) {
+        metadata.storageConfigId = storageConfigId;
+    }
+
+    // 单文件元数据索引：file:{fileKey}
+    await env.img_url.put(`file:${fileKey}`, "", { metadata });
+
+    // 先更新用量再写入用户索引，首次统计时按索引重建不会重复计入本文件
+    const bytes = Number(fileSize) || 0;
+    await recordUsage(env, { userId, provider, bytes, files: 1, providerBytes: deduplicated ? 0 : bytes });
+
+    // 匿名上传不关联用户
+    if (!userId) return;
+
+    // 将文件ID追加到分片列表中以便分页：user:{userId}:files:index
+    const indexKey = `user:${userId}:files:index`;
+    const index = await env.img_url.get(indexKey, { type: 'json' }) || { ids: [], total: 0 };
+    index.ids.push(fileKey);
+    index.total = (index.total || 0) + 1;
+    await env.img_url.put(indexKey, JSON.stringify(index));
+
+    // 为该用户建立条目 key：user:{userId}:file:{fileKey}
+    const userFileKey = `user:${userId}:file:${fileKey}`;
+    const userFileValue = JSON.stringify({
+        id: fileKey,
+        fileName: fileName,
+        fileSize: fileSize,
+        fileType: fileType,
+        provider: provider,
+        uploadTime: uploadTime,
+        url: url,
+        ...(encrypted ? { encrypted: true } : {})
+    });
+    await env.img_url.put(userFileKey, userFileValue);
+}
+
+/**
+ * 上传后返回给客户端并保存在用户文件条目中的访问链接
+ * 已登录用户的文件可以随时设为私有，统一通过 /file/:id 访问，不暴露存储桶直链
+ */
+export function getUploadedFileUrl({ fileKey, url, userId }) {
+    return userId ? `/file/${fileKey}` : url;
+}
+
+/**
+ * 读取文件元数据记录
+ * 新上传的文件使用 file:{id} 键，旧数据直接以 id 为键；返回值中的 key 为实际命中的键
+ */
+export async function getFileRecord(env, id) {
+    const record = await env.img_url.getWithMetadata(`file:${id}`);
+    if (record && record.metadata) {
+        return { ...record, key: `file:${id}` };
+    }
+
+    const legacy = await env.img_url.getWithMetadata(id);
+    return legacy && legacy.metadata ? { ...legacy, key: id } : legacy;
+}
+
+/**
+ * 删除文件元数据及用户文件条目
+ * metadata 为已读取的文件元数据，未传入时从 KV 读取，用于扣减存储用量
+ * shared 表示内容仍被其他记录共享 (去重)，存储中的对象未删除，不扣减提供商的总字节数
+ */
+export async function deleteFileRecord(env, { fileKey, recordKey, userId, metadata, shared = false }) {
+    const key = recordKey || `file:${fileKey}`;
+    const fileMetadata = metadata || (await env.img_url.getWithMetadata(key))?.metadata;
+    if (fileMetadata) {
+        const bytes = Number(fileMetadata.fileSize) || 0;
+        await recordUsage(env, {
+            userId: fileMetadata.userId || userId,
+            provider: fileMetadata.provider,
+            bytes: -bytes,
+            files: -1,
+            providerBytes: shared ? 0 : -bytes
+        });
+    }
+
+    await env.img_url.delete(key);
+    // 分层存储记录的访问时间
+    await env.img_url.delete(`access:${fileKey}`);
+
+    if (!userId || userId === "anonymous") return;
+
+    await env.img_url.delete(`user:${userId}:file:${fileKey}`);
+
+    const indexKey = `user:${userId}:files:index`;
+    const index = await env.img_url.get(indexKey, { type: 'json' });
+    if (index && Array.isArray(index.ids) && index.ids.includes(fileKey)) {
+        index.ids = index.ids.filter(id => id !== fileKey);
+        index.total = index.ids.length;
+        await env.img_url.put(indexKey, JSON.stringify(index));
+    }
+
+    // 旧版用户文件列表
+    const userFilesKey = `user:${userId}:files`;
+    const userFiles = await env.img_url.get(userFilesKey, { type: 'json' });
+    if (Array.isArray(userFiles) && userFiles.some(file => file.id === fileKey)) {
+        await env.img_url.put(userFilesKey, JSON.stringify(userFiles.filter(file => file.id !== fileKey)));
+    }
+}
+
+/**
+ * 设置文件是否为私有，私有文件只能通过签名链接或由所有者访问
+ * 同时更新用户文件条目，列表接口据此为私有图片生成签名链接
+ */
+export async function setFileVisibility(env, { fileKey, record, userId, isPrivate }) {
+    const metadata = { ...record.metadata, updatedAt: Date.now() };
+    if (isPrivate) {
+        metadata.private = true;
+    } else {
+        delete metadata.private;
+    }
+    await env.img_url.put(record.key, record.value || "", { metadata });
+
+    const userFileKey = `user:${userId}:file:${fileKey}`;
+    const entry = await env.img_url.get(userFileKey, { type: 'json' });
+    if (entry) {
+        await env.img_url.put(userFileKey, JSON.stringify({ ...entry, private: isPrivate }));
+    }
+
+    // 旧版用户文件列表
+    const userFilesKey = `user:${userId}:files`;
+    const userFiles = await env.img_url.get(userFilesKey, { type: 'json' });
+    if (Array.isArray(userFiles) && userFiles.some(file => file.id === fileKey)) {
+        await env.img_url.put(userFilesKey, JSON.stringify(
+            userFiles.map(file => file.id === fileKey ? { ...file, private: isPrivate } : file)
+        ));
+    }
+
+    return metadata;
+}
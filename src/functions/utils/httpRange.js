@@ -0,0 +1,176 @@
+/**
+ * 文件响应的 Range 和条件请求处理
+ * fileHandler 根据文件记录中的哈希和上传时间生成稳定的 ETag / Last-Modified，
+ * 不依赖各存储提供商返回的响应头，保证所有提供商的 206 / 304 / 416 行为一致
+ */
+
+/**
+ * 解析 Range 请求头
+ * 返回 null 表示返回完整内容，false 表示范围无法满足 (416)
+ * 多段范围请求不支持，按完整内容返回
+ */
+export function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // 后缀范围: bytes=-500 表示最后 500 字节
+        const suffix = parseInt(match[2], 10);
+        if (suffix === 0) return false;
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) return false;
+    return { start, end };
+}
+
+/**
+ * 根据文件元数据生成校验信息
+ * 有内容哈希时 ETag 即为哈希，迁移、副本切换后保持不变；旧记录没有哈希时使用上传时间和大小
+ * variant 为图片变换的标识，变换后的内容使用不同的 ETag，且大小在生成前未知
+ */
+export function getFileValidators(metadata, variant = null) {
+    const timestamp = Number(metadata?.TimeStamp) || 0;
+    const size = Number(metadata?.fileSize) || 0;
+
+    let tag = null;
+    if (metadata?.hash) {
+        tag = metadata.hash;
+    } else if (timestamp) {
+        tag = `${timestamp.toString(16)}-${size.toString(16)}`;
+    }
+
+    return {
+        etag: tag ? `"${variant ? `${tag}-${variant}` : tag}"` : null,
+        lastModified: timestamp ? new Date(timestamp).toUTCString() : null,
+        // HTTP 日期只精确到秒
+        modifiedAt: timestamp ? Math.floor(timestamp / 1000) * 1000 : null,
+        size: size > 0 && !variant ? size : null
+    };
+}
+
+/**
+ * 检查 If-None-Match / If-Modified-Since，客户端缓存仍然有效时返回 true
+ * 同时存在时只看 If-None-Match
+ */
+export function isNotModified(request, validators) {
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch) {
+        if (!validators.etag) return false;
+        return ifNoneMatch.trim() === '*' || parseEtagList(ifNoneMatch).includes(stripWeak(validators.etag));
+    }
+
+    const ifModifiedSince = request.headers.get('If-Modified-Since');
+    if (ifModifiedSince && validators.modifiedAt !== null) {
+        const since = Date.parse(ifModifiedSince);
+        return !Number.isNaN(since) && validators.modifiedAt <= since;
+    }
+    return false;
+}
+
+/**
+ * 解析本次请求需要返回的范围
+ * 返回 { range: null } 表示返回完整内容，{ range: false } 表示无法满足；
+ * If-Range 与当前文件不匹配时忽略 Range，按完整内容返回
+ */
+export function resolveRequestRange(request, validators, size = validators.size) {
+    const header = request.headers.get('Range');
+    if (!header || !size) return { range: null };
+
+    const ifRange = request.headers.get('If-Range');
+    if (ifRange && !matchesIfRange(ifRange.trim(), validators)) {
+        return { range: null };
+    }
+    return { range: parseRange(header, size) };
+}
+
+/**
+ * 构造 304 响应，只保留校验和缓存相关的头
+ */
+export function notModifiedResponse(validators, cacheControl) {
+    const headers = new Headers();
+    if (validators.etag) headers.set('ETag', validators.etag);
+    if (validators.lastModified) headers.set('Last-Modified', validators.lastModified);
+    if (cacheControl) headers.set('Cache-Control', cacheControl);
+    return new Response(null, { status: 304, headers });
+}
+
+/**
+ * 构造 416 响应
+ */
+export function rangeNotSatisfiableResponse(size) {
+    return new Response(null, {
+        status: 416,
+        headers: { 'Content-Range': `bytes */${size}`, 'Accept-Ranges': 'bytes' }
+    });
+}
+
+/**
+ * 从完整内容的流中截取 [start, end] 字节
+ * 用于不支持 Range 的提供商 (上游返回 200)，读到 end 之后停止读取上游
+ */
+export function sliceStream(body, start, end) {
+    const reader = body.getReader();
+    let offset = 0;
+
+    let stream = new ReadableStream({
+        async pull(controller) {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+
+                const chunkStart = offset;
+                offset += value.byteLength;
+                if (offset <= start) continue;
+
+                const from = Math.max(start - chunkStart, 0);
+                const to = Math.min(end + 1 - chunkStart, value.byteLength);
+                controller.enqueue(value.subarray(from, to));
+
+                if (offset > end) {
+                    controller.close();
+                    reader.cancel().catch(() => {});
+                }
+                return;
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+
+    if (typeof FixedLengthStream === 'function') {
+        // Workers 中普通 ReadableStream 会以 chunked 编码返回，使用 FixedLengthStream 保留 Content-Length
+        const fixed = new FixedLengthStream(end - start + 1);
+        stream.pipeTo(fixed.writable).catch(error => console.error('Range 响应传输中断:', error));
+        stream = fixed.readable;
+    }
+    return stream;
+}
+
+function matchesIfRange(value, validators) {
+    // If-Range 中的 ETag 必须是强校验值
+    if (value.startsWith('"')) {
+        return Boolean(validators.etag) && value === validators.etag;
+    }
+    const since = Date.parse(value);
+    return !Number.isNaN(since) && validators.modifiedAt !== null && validators.modifiedAt === since;
+}
+
+function parseEtagList(value) {
+    return value.split(',').map(item => stripWeak(item.trim())).filter(Boolean);
+}
+
+function stripWeak(etag) {
+    return etag.startsWith('W/') ? etag.slice(2) : etag;
+}
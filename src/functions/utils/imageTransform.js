@@ -0,0 +1,390 @@
+/**
+ * 图片尺寸和格式变换
+ * /file/:id?w=&h=&fit=&q= 或 ?size=thumb|medium|large 在 Worker 中使用 Photon (WASM) 生成缩放后的图片，
+ * WebP / AVIF 使用 jSquash (WASM) 编码，结果按变换参数保存在文件缓存中 (见 fileCache.js)
+ *
+ * fit=contain (默认) 按比例缩放到不超过 w×h；fit=cover 缩放后居中裁剪为 w×h
+ * 只缩小不放大，GIF、SVG、视频等格式按原文件返回
+ */
+
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc_simd.wasm';
+import AVIF_ENC_WASM from '@jsquash/avif/codec/enc/avif_enc.wasm';
+import { parseSize } from './size.js';
+import { loadUserSettings } from './userSettings.js';
+
+export const IMAGE_PRESETS = {
+    thumb: { w: 320, h: 320, fit: 'cover' },
+    medium: { w: 800 },
+    large: { w: 1600 }
+};
+
+const FITS = ['contain', 'cover'];
+const DEFAULT_QUALITY = 80;
+const DEFAULT_MAX_DIMENSION = 2048;
+const DEFAULT_MAX_SOURCE_SIZE = 10 * 1024 * 1024;
+// 解码后的像素数上限 (RGBA 每像素 4 字节)，避免超出 Worker 内存限制
+const MAX_SOURCE_PIXELS = 40 * 1000 * 1000;
+
+// 可变换的格式及保持原格式时的输出方式
+const ENCODERS = {
+    'image/jpeg': (image, quality) => image.get_bytes_jpeg(quality),
+    'image/png': (image) => image.get_bytes(),
+    'image/webp': (image) => image.get_bytes_webp()
+};
+
+const EXTENSION_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// 可转换的输出格式，Photon 只能输出无损 WebP，有损 WebP 和 AVIF 使用 jSquash 编码
+const OUTPUT_FORMATS = {
+    webp: {
+        type: 'image/webp',
+        load: () => import('@jsquash/webp/encode.js'),
+        wasm: WEBP_ENC_WASM,
+        options: (quality) => ({ quality })
+    },
+    avif: {
+        type: 'image/avif',
+        load: () => import('@jsquash/avif/encode.js'),
+        wasm: AVIF_ENC_WASM,
+        // AVIF 相同质量参数下画质更高，按 q 的 0.75 倍取值；speed 越高编码越快
+        options: (quality) => ({ quality: Math.max(1, Math.round(quality * 0.75)), speed: 8 })
+    }
+};
+// 根据 Accept 自动转换默认关闭，需要在 IMAGE_AUTO_FORMATS 中显式开启
+const DEFAULT_AUTO_FORMATS = [];
+const loadedEncoders = new Map();
+
+/**
+ * 是否启用图片变换 (IMAGE_TRANSFORM_ENABLED=false 时关闭，变换参数被忽略)
+ */
+export function isImageTransformEnabled(env) {
+    return String(env.IMAGE_TRANSFORM_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * 解析请求中的变换参数
+ * 返回 { transform: null } 表示不变换，{ error } 表示参数无效
+ * size 预设优先，指定 size 时忽略 w / h / fit / q
+ */
+export function parseImageTransform(env, searchParams) {
+    const preset = searchParams.get('size');
+    const hasCustom = ['w', 'h', 'fit', 'q'].some(name => searchParams.has(name));
+    if ((!preset && !hasCustom) || !isImageTransformEnabled(env)) {
+        return { transform: null };
+    }
+
+    if (preset) {
+        if (!Object.hasOwn(IMAGE_PRESETS, preset)) {
+            return { error: `未知的尺寸预设: ${preset}，可选值: ${Object.keys(IMAGE_PRESETS).join(', ')}` };
+        }
+        return { transform: normalizeTransform(IMAGE_PRESETS[preset]) };
+    }
+
+    if (String(env.IMAGE_TRANSFORM_PRESETS_ONLY || 'false').toLowerCase() === 'true') {
+        return { error: `只允许使用预设尺寸: ?size=${Object.keys(IMAGE_PRESETS).join('|')}` };
+    }
+
+    const maxDimension = parseInt(env.IMAGE_TRANSFORM_MAX_DIMENSION, 10) || DEFAULT_MAX_DIMENSION;
+    const options = {};
+    for (const name of ['w', 'h']) {
+        if (!searchParams.has(name)) continue;
+        const value = Number(searchParams.get(name));
+        if (!Number.isInteger(value) || value < 1 || value > maxDimension) {
+            return { error: `参数 ${name} 必须是 1 到 ${maxDimension} 之间的整数` };
+        }
+        options[name] = value;
+    }
+    if (!options.w && !options.h) {
+        return { error: '需要指定 w 或 h' };
+    }
+
+    if (searchParams.has('fit')) {
+        const fit = searchParams.get('fit');
+        if (!FITS.includes(fit)) {
+            return { error: `参数 fit 只支持: ${FITS.join(', ')}` };
+        }
+        options.fit = fit;
+    }
+
+    if (searchParams.has('q')) {
+        const quality = Number(searchParams.get('q'));
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            return { error: '参数 q 必须是 1 到 100 之间的整数' };
+        }
+        options.q = quality;
+    }
+
+    return { transform: normalizeTransform(options) };
+}
+
+/**
+ * 补全默认值，相同效果的参数得到相同的结果，用作缓存键
+ */
+function normalizeTransform({ w, h, fit, q, format }) {
+    return {
+        w: w || null,
+        h: h || null,
+        // cover 需要同时指定宽高，否则等同于 contain
+        fit: fit === 'cover' && w && h ? 'cover' : 'contain',
+        q: q || DEFAULT_QUALITY,
+        format: format || null
+    };
+}
+
+/**
+ * 确定输出格式
+ * ?format=webp|avif 强制转换，?format=original 保持原格式；未指定时根据 Accept 和文件所有者的设置自动选择，
+ * 自动选择时 format 为 "auto:候选格式"，转换结果不比原格式更小时返回原格式；vary 表示响应随 Accept 变化
+ * auto=false 时不自动选择 (如下载请求)
+ */
+export async function negotiateImageFormat(env, { searchParams, accept, metadata, id, auto = true }) {
+    const requested = searchParams.get('format');
+    if (requested && requested !== 'original' && !Object.hasOwn(OUTPUT_FORMATS, requested)) {
+        return { error: `参数 format 只支持: ${[...Object.keys(OUTPUT_FORMATS), 'original'].join(', ')}` };
+    }
+
+    const sourceType = getSourceType(metadata, id);
+    if (!isImageTransformEnabled(env) || !ENCODERS[sourceType] || requested === 'original') {
+        return { format: null, vary: false };
+    }
+    if (requested) {
+        return { format: OUTPUT_FORMATS[requested].type === sourceType ? null : requested, vary: false };
+    }
+
+    const candidates = getAutoFormats(env).filter(format => OUTPUT_FORMATS[format].type !== sourceType);
+    if (!auto || candidates.length === 0) {
+        return { format: null, vary: false };
+    }
+
+    const settings = await loadUserSettings(env, metadata.userId);
+    if (!settings.autoFormat) {
+        return { format: null, vary: false };
+    }
+
+    const accepted = candidates.filter(format => acceptsType(accept, OUTPUT_FORMATS[format].type));
+    return { format: accepted.length > 0 ? `auto:${accepted.join(',')}` : null, vary: true };
+}
+
+/**
+ * 是否为根据 Accept 自动选择的格式，自动选择的变体在响应之后异步生成 (见 fileHandler)
+ */
+export function isAutoFormat(transform) {
+    return Boolean(transform && transform.format && transform.format.startsWith('auto:'));
+}
+
+/**
+ * 合并尺寸变换和输出格式，只转换格式时不缩放
+ */
+export function withOutputFormat(transform, format) {
+    if (!format) return transform;
+    return { ...(transform || normalizeTransform({})), format };
+}
+
+/**
+ * 自动转换的候选格式，按 IMAGE_AUTO_FORMATS 的顺序优先 (未设置或 "none" 时不自动转换)
+ */
+function getAutoFormats(env) {
+    if (env.IMAGE_AUTO_FORMATS === undefined || env.IMAGE_AUTO_FORMATS === null) {
+        return DEFAULT_AUTO_FORMATS;
+    }
+    return String(env.IMAGE_AUTO_FORMATS)
+        .split(',')
+        .map(format => format.trim().toLowerCase())
+        .filter(format => Object.hasOwn(OUTPUT_FORMATS, format));
+}
+
+function getSourceType(metadata, id) {
+    const declared = String(metadata.fileType || '').split(';')[0].trim().toLowerCase();
+    if (declared) return declared;
+    const extension = String(metadata.fileName || id).split('.').pop().toLowerCase();
+    return EXTENSION_TYPES[extension] || '';
+}
+
+// 只认可明确列出的类型，image/* 等通配符不代表浏览器能解码 WebP / AVIF
+function acceptsType(accept, type) {
+    return String(accept || '').split(',').some(part => {
+        const [value, ...params] = part.split(';');
+        return value.trim().toLowerCase() === type && !params.some(param => /^\s*q=0(\.0*)?\s*$/.test(param));
+    });
+}
+
+/**
+ * 删除文件时需要清除的缓存变体：原图和各预设尺寸，分别组合各种输出格式
+ */
+export function getKnownVariants(env) {
+    const formats = [null, ...Object.keys(OUTPUT_FORMATS)];
+    const autoFormats = getAutoFormats(env);
+    // 自动选择的候选格式是 IMAGE_AUTO_FORMATS 中保持顺序的子集
+    for (let mask = 1; mask < 1 << autoFormats.length; mask++) {
+        formats.push(`auto:${autoFormats.filter((_, index) => mask & (1 << index)).join(',')}`);
+    }
+
+    const variants = [];
+    for (const base of [null, ...Object.values(IMAGE_PRESETS)]) {
+        for (const format of formats) {
+            if (!base && !format) {
+                variants.push({});
+            } else {
+                variants.push(normalizeTransform({ ...(base || {}), format }));
+            }
+        }
+    }
+    return variants;
+}
+
+/**
+ * 变换参数的简短标识，用于区分 ETag
+ */
+export function getTransformTag(transform) {
+    return [
+        transform.w ? `w${transform.w}` : '',
+        transform.h ? `h${transform.h}` : '',
+        transform.fit,
+        `q${transform.q}`,
+        // ETag 列表以逗号分隔，格式标识中不能出现逗号
+        transform.format ? transform.format.replace(/[:,]/g, '-') : ''
+    ].filter(Boolean).join('-');
+}
+
+/**
+ * 对完整的图片响应执行变换
+ * 格式不支持、原图过大或解码失败时返回原图，变换结果不比原图更小且尺寸未变时也返回原图
+ */
+export async function transformImageResponse(env, response, transform) {
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (response.status !== 200 || !response.body || !ENCODERS[contentType]) {
+        return response;
+    }
+
+    const maxSourceSize = parseSize(env.IMAGE_TRANSFORM_MAX_SOURCE_SIZE) ?? DEFAULT_MAX_SOURCE_SIZE;
+    const declaredSize = parseInt(response.headers.get('Content-Length'), 10);
+    if (declaredSize > maxSourceSize) {
+        return response;
+    }
+
+    const input = new Uint8Array(await response.arrayBuffer());
+    const headers = new Headers(response.headers);
+    for (const name of ['Content-Length', 'Content-Range', 'ETag']) {
+        headers.delete(name);
+    }
+
+    let output = null;
+    if (input.byteLength <= maxSourceSize) {
+        try {
+            output = await processImage(input, contentType, transform);
+        } catch (error) {
+            console.error('图片变换失败，返回原图:', error);
+        }
+    }
+
+    const body = output ? output.body : input;
+    headers.set('Content-Type', output ? output.type : contentType);
+    headers.set('Content-Length', String(body.byteLength));
+    return new Response(body, { status: 200, headers });
+}
+
+/**
+ * 缩放、裁剪并编码，返回 { body, type }；结果与原图相同时返回 null
+ */
+async function processImage(input, contentType, transform) {
+    // Photon 的 WASM 模块较大，只在需要变换时加载
+    const { PhotonImage, SamplingFilter, resize, crop } = await import('@cf-wasm/photon');
+
+    let image = PhotonImage.new_from_byteslice(input);
+    try {
+        const width = image.get_width();
+        const height = image.get_height();
+        if (width * height > MAX_SOURCE_PIXELS) {
+            console.warn(`图片像素过多 (${width}×${height})，跳过变换`);
+            return null;
+        }
+
+        const target = getTargetSize(width, height, transform);
+        const resized = target.width !== width || target.height !== height;
+        if (resized) {
+            const next = resize(image, target.width, target.height, SamplingFilter.Triangle);
+            image.free();
+            image = next;
+        }
+
+        const cropped = target.crop && (target.crop.width !== target.width || target.crop.height !== target.height);
+        if (cropped) {
+            const x = Math.floor((target.width - target.crop.width) / 2);
+            const y = Math.floor((target.height - target.crop.height) / 2);
+            const next = crop(image, x, y, x + target.crop.width, y + target.crop.height);
+            image.free();
+            image = next;
+        }
+
+        const forced = transform.format && !transform.format.startsWith('auto:');
+        if (forced) {
+            return { body: await encodeAs(image, transform.format, transform.q), type: OUTPUT_FORMATS[transform.format].type };
+        }
+
+        // 原格式的结果作为基准，只转换格式时直接与原图比较
+        let best = null;
+        if (resized || cropped || !transform.format) {
+            const body = ENCODERS[contentType](image, transform.q);
+            if (resized || cropped || body.byteLength < input.byteLength) {
+                best = { body, type: contentType };
+            }
+        }
+
+        if (transform.format) {
+            const baseline = best ? best.body.byteLength : input.byteLength;
+            for (const format of transform.format.slice('auto:'.length).split(',')) {
+                const body = await encodeAs(image, format, transform.q);
+                if (body.byteLength < baseline) {
+                    return { body, type: OUTPUT_FORMATS[format].type };
+                }
+            }
+        }
+        return best;
+    } finally {
+        image.free();
+    }
+}
+
+/**
+ * 使用 jSquash 编码为 WebP / AVIF，WASM 模块在首次使用时初始化
+ */
+async function encodeAs(image, format, quality) {
+    const output = OUTPUT_FORMATS[format];
+    if (!loadedEncoders.has(format)) {
+        loadedEncoders.set(format, output.load().then(async module => {
+            await module.init(output.wasm);
+            return module.default;
+        }));
+    }
+    const encode = await loadedEncoders.get(format);
+
+    const data = {
+        data: new Uint8ClampedArray(image.get_raw_pixels()),
+        width: image.get_width(),
+        height: image.get_height()
+    };
+    return new Uint8Array(await encode(data, output.options(quality)));
+}
+
+/**
+ * 计算缩放后的尺寸，只缩小不放大；cover 额外返回居中裁剪的区域
+ */
+function getTargetSize(width, height, { w, h, fit }) {
+    if (fit === 'cover') {
+        const scale = Math.min(1, Math.max(w / width, h / height));
+        const scaledWidth = Math.max(1, Math.round(width * scale));
+        const scaledHeight = Math.max(1, Math.round(height * scale));
+        return {
+            width: scaledWidth,
+            height: scaledHeight,
+            crop: { width: Math.min(w, scaledWidth), height: Math.min(h, scaledHeight) }
+        };
+    }
+
+    const scale = Math.min(1, w ? w / width : 1, h ? h / height : 1);
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        crop: null
+    };
+}
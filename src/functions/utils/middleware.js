@@ -14,7 +14,7 @@ export function telemetryData(c) {
     // 可以在这里添加统计或分析代码
     const timestamp = Date.now();
     const url = new URL(c.req.url);
-    const userAgent = c.req.headers.get('User-Agent') || 'unknown';
+    const userAgent = c.req.header('User-Agent') || 'unknown';
     
     console.log(`[${timestamp}] 请求: ${url.pathname} - UA: ${userAgent}`);
     return;
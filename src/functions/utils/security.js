@@ -21,6 +21,9 @@ export async function securityHeaders(c, next) {
   // Enforce HTTPS
   c.header('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
   
+  // Extra connect-src origins, e.g. the bucket endpoint used for direct uploads
+  const extraConnectSrc = (c.env?.CSP_CONNECT_SRC || '').split(/[\s,]+/).filter(Boolean).join(' ');
+
   // Basic Content Security Policy
   // Adjust based on your application's needs
   c.header('Content-Security-Policy', 
@@ -29,7 +32,7 @@ export async function securityHeaders(c, next) {
     "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; " +
     "img-src 'self' data: https: blob:; " +
     "font-src 'self' data: https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; " +
-    "connect-src 'self' https://api.telegram.org; " +
+    `connect-src 'self' https://api.telegram.org${extraConnectSrc ? ` ${extraConnectSrc}` : ''}; ` +
     "frame-ancestors 'none';"
   );
   
@@ -77,7 +80,7 @@ export async function corsMiddleware(c, next) {
  * Rate limiting middleware
  * Basic rate limiting using Cloudflare KV
  */
-export async function rateLimiter(options = {}) {
+export function rateLimiter(options = {}) {
   const {
     windowMs = 60 * 1000, // 1 minute
     max = 100, // limit each IP to 100 requests per windowMs
@@ -0,0 +1,124 @@
+/**
+ * 带签名和有效期的文件链接
+ * /file/:id?exp=&sig= 中 sig 为 HMAC-SHA256(文件 id 和过期时间)，使用 FILE_URL_SIGNING_KEY 签名，未设置时使用 JWT_SECRET
+ * 签名不包含尺寸、格式等其他参数，同一个签名链接可以追加 ?size= 等变换参数
+ */
+
+const DEFAULT_TTL = 60 * 60;
+const DEFAULT_MAX_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * 签名密钥，未配置时无法生成和校验签名链接
+ */
+function getSigningKey(env) {
+    return env.FILE_URL_SIGNING_KEY || env.JWT_SECRET || null;
+}
+
+export function isUrlSigningAvailable(env) {
+    return Boolean(getSigningKey(env));
+}
+
+/**
+ * 解析有效期 (秒)，未指定时使用 SIGNED_URL_DEFAULT_TTL，不能超过 SIGNED_URL_MAX_TTL
+ * 返回 { ttl } 或 { error }
+ */
+export function resolveSignedUrlTtl(env, value) {
+    const maxTtl = parseInt(env.SIGNED_URL_MAX_TTL, 10) || DEFAULT_MAX_TTL;
+    if (value === undefined || value === null || value === '') {
+        return { ttl: Math.min(parseInt(env.SIGNED_URL_DEFAULT_TTL, 10) || DEFAULT_TTL, maxTtl) };
+    }
+
+    const ttl = Number(value);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > maxTtl) {
+        return { error: `有效期必须是 1 到 ${maxTtl} 之间的整数 (秒)` };
+    }
+    return { ttl };
+}
+
+/**
+ * 生成签名链接的路径部分，返回 { path, expiresAt }
+ * expiresAt 为过期时间的 Unix 时间戳 (秒)
+ */
+export async function signFileUrl(env, id, ttl) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+    const signature = await sign(env, id, expiresAt);
+    return {
+        path: `/file/${encodeURIComponent(id)}?exp=${expiresAt}&sig=${signature}`,
+        expiresAt
+    };
+}
+
+/**
+ * 校验请求中的签名参数
+ * 返回 { status: 'none' } 表示没有签名参数，'valid' 时 expiresAt 为过期时间，'expired' / 'invalid' 表示应当拒绝
+ */
+export async function verifySignedRequest(env, id, searchParams) {
+    const exp = searchParams.get('exp');
+    const sig = searchParams.get('sig');
+    if (exp === null && sig === null) {
+        return { status: 'none' };
+    }
+    if (!exp || !sig || !/^\d+$/.test(exp) || !isUrlSigningAvailable(env)) {
+        return { status: 'invalid' };
+    }
+
+    // 先校验签名，篡改过期时间的链接按签名无效处理
+    const expiresAt = Number(exp);
+    if (!await verify(env, id, expiresAt, sig)) {
+        return { status: 'invalid' };
+    }
+    if (expiresAt <= Math.floor(Date.now() / 1000)) {
+        return { status: 'expired' };
+    }
+    return { status: 'valid', expiresAt };
+}
+
+/**
+ * 列表中图片的访问链接，私有图片返回默认有效期的签名链接，以便在页面中直接显示
+ */
+export async function getFileLinks(env, id, isPrivate) {
+    const path = `/file/${id}`;
+    if (!isPrivate || !isUrlSigningAvailable(env)) {
+        return { url: path, thumbnailUrl: `${path}?size=thumb` };
+    }
+
+    const { path: signedPath } = await signFileUrl(env, id, resolveSignedUrlTtl(env).ttl);
+    return { url: signedPath, thumbnailUrl: `${signedPath}&size=thumb` };
+}
+
+async function importKey(env, usage) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(getSigningKey(env)),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        [usage]
+    );
+}
+
+function signedPayload(id, expiresAt) {
+    return new TextEncoder().encode(`file:${id}:${expiresAt}`);
+}
+
+async function sign(env, id, expiresAt) {
+    const key = await importKey(env, 'sign');
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, signedPayload(id, expiresAt)));
+    return btoa(String.fromCharCode(...signature))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+// 使用 crypto.subtle.verify 比较签名，避免逐字节比较带来的时序差异
+async function verify(env, id, expiresAt, signature) {
+    let bytes;
+    try {
+        const base64 = signature.replace(/-/g, '+').replace(/_/g, '/');
+        bytes = Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+    } catch {
+        return false;
+    }
+
+    const key = await importKey(env, 'verify');
+    return crypto.subtle.verify('HMAC', key, bytes, signedPayload(id, expiresAt));
+}
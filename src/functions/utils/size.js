@@ -0,0 +1,39 @@
+/**
+ * 容量配置解析
+ * 所有大小类配置 (上传限制、分片大小、配额、缓存上限等) 统一使用这里的函数解析
+ */
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024, TB: 1024 * 1024 * 1024 * 1024 };
+const SIZE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?\s*$/i;
+const DEFAULT_MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 解析 "8MB"、"10GB" 或字节数，返回字节数
+ * 未设置、为 0 或无法解析时返回 null，由调用方决定含义 (使用默认值或表示不限制)
+ * defaultUnit 为没有单位时使用的单位
+ */
+export function parseSize(raw, { defaultUnit = 'B' } = {}) {
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    const match = SIZE_PATTERN.exec(String(raw));
+    if (!match) return null;
+    const bytes = Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || defaultUnit).toUpperCase()]);
+    return bytes > 0 ? bytes : null;
+}
+
+/**
+ * 是否为合法的容量值：非负整数字节数，或 "10GB" 这样带单位的字符串
+ * 用于校验接口提交的值，避免无法解析的输入被 parseSize 当作未设置
+ */
+export function isSizeValue(raw) {
+    if (typeof raw === 'number') return Number.isInteger(raw) && raw >= 0;
+    return typeof raw === 'string' && SIZE_PATTERN.test(raw);
+}
+
+/**
+ * 单个文件的上传大小限制 (MAX_FILE_SIZE，默认 50MB)
+ * 为兼容已有配置，没有单位的数值按 MB 计算
+ */
+export function parseMaxFileSize(env) {
+    return parseSize(env.MAX_FILE_SIZE, { defaultUnit: 'MB' }) ?? DEFAULT_MAX_FILE_SIZE;
+}
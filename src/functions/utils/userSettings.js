@@ -0,0 +1,47 @@
+/**
+ * 用户偏好设置
+ * 保存在 users KV 的 settings:{userId} 中，只包含服务端需要读取的设置；
+ * 主题、动画等界面设置仍保存在浏览器本地
+ */
+
+const DEFAULT_SETTINGS = {
+    // 访问图片时按浏览器支持自动转换为 WebP / AVIF
+    autoFormat: true
+};
+
+function settingsKey(userId) {
+    return `settings:${userId}`;
+}
+
+/**
+ * 读取用户设置，未保存过的字段使用默认值；匿名用户始终使用默认值
+ */
+export async function loadUserSettings(env, userId) {
+    if (!userId || userId === 'anonymous' || !env.users) {
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    const saved = await env.users.get(settingsKey(userId), { type: 'json' });
+    return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+}
+
+/**
+ * 校验并合并提交的设置，只接受已知字段
+ */
+export function normalizeUserSettings(body, current) {
+    const settings = { ...current };
+    for (const [name, value] of Object.entries(body || {})) {
+        if (!Object.hasOwn(DEFAULT_SETTINGS, name)) {
+            return { error: `未知的设置项: ${name}` };
+        }
+        if (typeof value !== typeof DEFAULT_SETTINGS[name]) {
+            return { error: `设置项 ${name} 的类型不正确` };
+        }
+        settings[name] = value;
+    }
+    return { settings };
+}
+
+export async function storeUserSettings(env, userId, settings) {
+    await env.users.put(settingsKey(userId), JSON.stringify({ ...settings, updatedAt: Date.now() }));
+}
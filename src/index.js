@@ -3,11 +3,16 @@ import { serveStatic } from 'hono/cloudflare-workers';
 import { authenticatedUpload } from './functions/upload';
 import { fileHandler } from './functions/file/[id]';
 import { register, login, getCurrentUser, updateUserAvatar, getUserProfile } from './functions/user/auth';
-import { getUserImages, deleteUserImage, updateImageInfo, searchUserImages } from './functions/user/images';
+import { getUserImages, deleteUserImage, updateImageInfo, searchUserImages, setImageVisibility, createSignedImageUrl } from './functions/user/images';
 import { getUserFavorites, addToFavorites, removeFromFavorites, checkFavoriteStatus, batchFavoriteOperation } from './functions/user/favorites';
 import { getUserTags, createTag, updateTag, deleteTag, batchTagOperation, getTagImages } from './functions/user/tags';
-import { authMiddleware } from './functions/utils/auth';
-import { apiUpload, apiUploadWithAuth, getStorageProviders, healthCheck, getUploadConfig } from './functions/api/upload';
+import { getUserStorage, testUserStorage, saveUserStorage, deleteUserStorage } from './functions/user/storage';
+import { getUserSettings, updateUserSettings } from './functions/user/settings';
+import { authMiddleware, adminMiddleware } from './functions/utils/auth';
+import { apiUpload, apiUploadWithAuth, presignUpload, completeUpload, getStorageProviders, healthCheck, getHealthCheckHistory, getUploadConfig } from './functions/api/upload';
+import { createMigration, getMigration, runMigration, cancelMigration } from './functions/api/migration';
+import { getDeletions, processDeletions, runGc, getGcReport, getUsage, getUserUsage, updateUserQuota, resetUserQuota, getTiering, updateTieringRules, runTieringNow } from './functions/api/maintenance';
+import { scheduled } from './functions/scheduled';
 import { securityHeaders, corsMiddleware, rateLimiter } from './functions/utils/security';
 
 const app = new Hono();
@@ -32,12 +37,32 @@ app.get('/', (c) => c.redirect('/index.html'));
 // API 上传接口
 app.post('/api/upload', apiUpload); // 无认证上传
 app.post('/api/upload/auth', apiUploadWithAuth); // 需要认证的上传
+app.post('/api/upload/presign', presignUpload); // 创建浏览器直传会话
+app.post('/api/upload/complete', completeUpload); // 直传完成回调
 
 // 存储管理 API
 app.get('/api/storage/providers', getStorageProviders); // 获取可用存储提供商
 app.get('/api/storage/health', healthCheck); // 存储健康检查
+app.get('/api/storage/health/history', adminMiddleware, getHealthCheckHistory); // 存储健康检查历史 (仅管理员)
 app.get('/api/upload/config', getUploadConfig); // 获取上传配置
 
+// 管理员 API
+app.post('/api/admin/migrations', adminMiddleware, createMigration); // 创建存储迁移任务
+app.get('/api/admin/migrations/:id', adminMiddleware, getMigration); // 查看迁移进度
+app.post('/api/admin/migrations/:id/run', adminMiddleware, runMigration); // 执行下一批迁移
+app.post('/api/admin/migrations/:id/cancel', adminMiddleware, cancelMigration); // 取消迁移任务
+app.get('/api/admin/deletions', adminMiddleware, getDeletions); // 查看删除队列状态
+app.post('/api/admin/deletions/process', adminMiddleware, processDeletions); // 立即重试待删除文件
+app.post('/api/admin/gc', adminMiddleware, runGc); // 执行垃圾回收 (默认试运行)
+app.get('/api/admin/gc/report', adminMiddleware, getGcReport); // 查看最近一次垃圾回收报告
+app.get('/api/admin/usage', adminMiddleware, getUsage); // 查看各存储提供商的总用量
+app.get('/api/admin/users/:id/usage', adminMiddleware, getUserUsage); // 查看用户用量和配额
+app.put('/api/admin/users/:id/quota', adminMiddleware, updateUserQuota); // 设置用户配额
+app.delete('/api/admin/users/:id/quota', adminMiddleware, resetUserQuota); // 恢复默认配额
+app.get('/api/admin/tiering', adminMiddleware, getTiering); // 查看分层存储规则和状态
+app.put('/api/admin/tiering/rules', adminMiddleware, updateTieringRules); // 保存分层存储规则
+app.post('/api/admin/tiering/run', adminMiddleware, runTieringNow); // 执行分层扫描 (默认试运行)
+
 // 用户认证相关API
 app.post('/api/auth/register', register);
 app.post('/api/auth/login', login);
@@ -50,6 +75,8 @@ app.get('/api/images', authMiddleware, getUserImages);
 app.get('/api/images/search', authMiddleware, searchUserImages);
 app.delete('/api/images/:id', authMiddleware, deleteUserImage);
 app.put('/api/images/:id', authMiddleware, updateImageInfo);
+app.put('/api/images/:id/visibility', authMiddleware, setImageVisibility);
+app.post('/api/images/:id/signed-url', authMiddleware, createSignedImageUrl);
 
 // 用户收藏相关API
 app.get('/api/favorites', authMiddleware, getUserFavorites);
@@ -66,7 +93,21 @@ app.delete('/api/tags/:id', authMiddleware, deleteTag);
 app.post('/api/tags/batch', authMiddleware, batchTagOperation);
 app.get('/api/tags/:id/images', authMiddleware, getTagImages);
 
+// 用户自有存储相关API
+app.get('/api/user/storage', authMiddleware, getUserStorage);
+app.put('/api/user/storage', authMiddleware, saveUserStorage);
+app.delete('/api/user/storage', authMiddleware, deleteUserStorage);
+app.post('/api/user/storage/test', authMiddleware, testUserStorage);
+
+// 用户偏好设置相关API
+app.get('/api/user/settings', authMiddleware, getUserSettings);
+app.put('/api/user/settings', authMiddleware, updateUserSettings);
+
 // 静态文件服务放在最后，避免覆盖 API 路由
 app.use('/*', serveStatic({ root: './' }));
 
-export default app;
+// fetch 处理 HTTP 请求，scheduled 处理定时任务
+export default {
+    fetch: app.fetch,
+    scheduled
+};